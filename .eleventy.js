@@ -1,4 +1,60 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// The service worker serves the app cache-first from birdnet-app-<APP_VERSION>,
+// so a release that changes app files without a new version would reach
+// returning users mixed with the old files. app-version.json records the
+// version and a hash of the files it was set for.
+const APP_VERSION_LOCK = path.join(__dirname, "app-version.json");
+const APP_SOURCES = ["public", "src", "package.json"];
+const APP_SOURCES_IGNORED = [path.join("public", "models")]; // Model caches are versioned per model
+
+function listFiles(entry) {
+  if (APP_SOURCES_IGNORED.includes(path.relative(__dirname, entry))) return [];
+  if (!fs.statSync(entry).isDirectory()) return [entry];
+  return fs.readdirSync(entry).sort().flatMap(name => listFiles(path.join(entry, name)));
+}
+
+function hashAppSources() {
+  const hash = crypto.createHash("sha256");
+  APP_SOURCES
+    .flatMap(entry => listFiles(path.join(__dirname, entry)))
+    .forEach(file => {
+      hash.update(path.relative(__dirname, file).split(path.sep).join("/"));
+      hash.update(fs.readFileSync(file));
+    });
+  return hash.digest("hex");
+}
+
+/**
+ * Fails a production build when app files changed but APP_VERSION in
+ * sw.js did not. A new version is recorded with the files it ships.
+ */
+function checkAppVersion() {
+  const sw = fs.readFileSync(path.join(__dirname, "public", "sw.js"), "utf8");
+  const match = sw.match(/const APP_VERSION = "([^"]+)"/);
+  if (!match) throw new Error("APP_VERSION not found in public/sw.js");
+  const version = match[1];
+
+  const lock = fs.existsSync(APP_VERSION_LOCK) ? JSON.parse(fs.readFileSync(APP_VERSION_LOCK, "utf8")) : null;
+  const sourcesHash = hashAppSources();
+  if (!lock || lock.version !== version) {
+    fs.writeFileSync(APP_VERSION_LOCK, JSON.stringify({ version, sourcesHash }, null, 2) + "\n");
+    return;
+  }
+  if (lock.sourcesHash !== sourcesHash) {
+    throw new Error(`App files changed since ${version}: bump APP_VERSION in public/sw.js ` +
+      "so returning users get a fresh app cache (app-version.json is updated on the next build).");
+  }
+}
+
 module.exports = function (eleventyConfig) {
+  // Watch and serve rebuild on every edit, only releases need a version
+  eleventyConfig.on("eleventy.before", ({ runMode }) => {
+    if (runMode === "build") checkAppVersion();
+  });
+
   // Static (public)
   eleventyConfig.addPassthroughCopy({ "public": "/" });
 
@@ -24,6 +80,12 @@ module.exports = function (eleventyConfig) {
   eleventyConfig.addPassthroughCopy({
     "node_modules/@tensorflow/tfjs/dist/tf.min.js": "js/tfjs-4.14.0.min.js",
   });
+  eleventyConfig.addPassthroughCopy({
+    "node_modules/@tensorflow/tfjs-backend-wasm/dist/tf-backend-wasm.min.js": "js/tfjs-backend-wasm/tf-backend-wasm.min.js",
+  });
+  eleventyConfig.addPassthroughCopy({
+    "node_modules/@tensorflow/tfjs-backend-wasm/dist/*.wasm": "js/tfjs-backend-wasm",
+  });
 
   return {
     pathPrefix: "/real-time-pwa/",
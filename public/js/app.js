@@ -8,6 +8,12 @@
    1. CONFIGURATION & CONSTANTS
    ========================================================================== */
 
+// Versions written into exports, set by the page from models/manifest.json
+const APP_VERSION = window.APP_VERSION || "";
+const DEFAULT_MODEL_VERSION = window.DEFAULT_MODEL_VERSION || "";
+// Sessions recorded before the model registry all used this bundled model
+const LEGACY_MODEL_VERSION = "v2.4";
+
 // Audio settings
 const SAMPLE_RATE = 48000;
 const WINDOW_SECONDS = 3;
@@ -17,6 +23,34 @@ const WINDOW_SAMPLES = SAMPLE_RATE * WINDOW_SECONDS;
 const TEMPORAL_POOL_WINDOW = 5;    // Number of recent predictions to pool
 const USE_TEMPORAL_POOL = true;    // Enable log-mean-exp pooling
 
+const SEGMENT_MIN_CONFIDENCE = 0.05; // Lowest selectable threshold, drops the long tail
+const GEO_FILTER_MIN_SCORE = 0.05;   // Results below this occurrence score are hidden with the geo prior on
+const AUDIO_RING_CAPACITY = 262144; // Worklet -> worker ring: 2^18 samples (5.5 s), more than one window
+const MAX_INPUT_CHANNELS = 4;       // Channels analyzed separately on multi-channel interfaces
+const INFERENCE_LOAD_FACTOR = 1.25; // Predictions start at most every lastInferenceMs * factor
+const SKIP_REPORT_MS = 10000;       // Skipped windows are reported over this recent span
+
+// File analysis settings
+const FILE_CHUNK_WINDOWS = 20;     // 3 s windows per worker request (60 s of audio)
+const FILE_OVERLAP_SEC = 0;        // Non-overlapping segments, like BirdNET-Analyzer
+
+// Monitoring mode settings
+const MONITOR_GAP_TOLERANCE_SEC = 5; // Unanalyzed audio shorter than this is not recorded as a gap
+
+// Target species alert settings
+const ALERT_VIBRATION_PATTERN = [200, 100, 200];
+const ALERT_NOTIFICATION_ICON = "img/birdnet-logo-circle.png";
+
+// User-supplied model files (Origin Private File System, read by the worker)
+const CUSTOM_MODEL_ID = "custom";
+const CUSTOM_MODEL_DIR = "custom-model";
+const CUSTOM_MODEL_INFO = "info.json";
+
+// Custom classifier training settings
+const TRAIN_BACKGROUND_LABEL = "__background__"; // Negatives for every class, never predicted
+const TRAIN_MAX_CLIP_SEC = 300;    // Longer clips are cut (100 embeddings)
+const TRAIN_EPOCHS = 50;
+
 // Spectrogram settings
 const SPECTRO_FFT_SIZE = 2048;
 const SPECTRO_DEFAULT_DURATION_SEC = 20;
@@ -24,6 +58,19 @@ const SPECTRO_DEFAULT_GAIN = 1.5;
 const SPECTRO_SMOOTHING = 0.0; // 0.0 = crisp details, 1.0 = very smooth
 const SPECTRO_MIN_FREQ_DEFAULT = 0;
 const SPECTRO_MAX_FREQ_DEFAULT = 12000;
+const SPECTRO_LOG_MIN_FREQ = 100; // Lower bound of the logarithmic scale (log 0 is undefined)
+const SPECTRO_HISTORY_SEC = 300;  // Spectrogram kept for scrolling back
+const SPECTRO_MIN_VIEW_SEC = 1;   // Closest time zoom
+const SPECTRO_MAX_FREQ_ZOOM = 20; // Closest frequency zoom, relative to the set range
+
+// Detection timeline settings
+const TIMELINE_MAX_ROWS = 5;       // Species shown at once (most confident first)
+const TIMELINE_ROW_HEIGHT = 16;    // CSS pixels per species row
+const TIMELINE_MAX_AGE_SEC = SPECTRO_HISTORY_SEC + WINDOW_SECONDS; // Spectrogram history plus one window
+
+// Detection markers on the spectrogram
+const MARKER_LANES = 4;         // Overlapping markers stack up to this many rows
+const MARKER_LANE_HEIGHT = 16;  // CSS pixels per marker row
 
 // Supported Languages
 const LANG_LABELS = {
@@ -49,29 +96,89 @@ let translations = {};
 let isListening = false;
 let workerReady = false;
 let birdnetWorker = null;
+let workerRequestCounter = 0;
+let workerRequests = new Map(); // requestId -> { resolve, reject, message }
+let inferenceBackend = null; // TF.js backend chosen by the worker
+let activeModel = null;      // Manifest entry of the model the worker loaded
+let modelManifest = null;    // models/manifest.json, for the model selector
 let audioContext;
 let workletNode;
 let gainNode;
 let highPassFilterNode;
-let circularBuffer;
-let circularWriteIndex = 0;
 let currentStream;
 
 // Inference State
 let lastInferenceStart = 0;
 let lastInferenceMs = null;
-let recentInferenceSets = []; // Buffer for temporal pooling
+let predictInFlight = false;  // At most one live prediction in the worker
+let inferenceTimer = null;
+let effectiveInterval = 0;    // inferenceInterval, stretched when inference is slower
+let recentSkips = [];         // { at, count }: interval ticks that passed during a prediction, last SKIP_REPORT_MS
+let recentInferenceSets = []; // Buffer for temporal pooling, per input channel
+let channelDetections = [];   // Latest pooled results per input channel
 let latestDetections = [];
+let liveChannels = 1;         // Input channels analyzed as separate streams
+let windowCounter = 0;
+let liveRequestIds = new Set(); // Live predictions sent and not yet answered
 
 // Spectrogram State
-let spectroCanvas, spectroCtx;
+let spectroCanvas;
+let spectroRenderer = null; // SpectrogramRenderer or its OffscreenCanvas worker twin
 let spectroAxisCanvas, spectroAxisCtx; // Overlay for axis
+let spectroMarkerCanvas, spectroMarkerCtx; // Overlay for detection markers
+let spectroMarkerKey = null; // View the markers were last drawn for, see drawDetectionMarkers
 let spectroAnimationId = null;
 let analyser;
 let dataArray; // Float32 array for dB values
 let bufferLength;
 let spectroColumnSeconds = 0;
 let lastSpectroColumnTime = 0;
+let spectroRowBins = null; // { key, from, to }: FFT bin range drawn in each pixel row
+let spectroNyquist = 0;    // Half the rate of the context the analyser runs in
+
+// Spectrogram View State (pause, scroll back, zoom)
+let spectroPaused = false;
+let spectroViewEnd = 0;         // Audio time at the right edge while paused
+let spectroViewDuration = 0;    // Visible seconds when zoomed, 0 = duration setting
+let spectroFreqView = null;     // { min, max } zoomed frequency range, null = set range
+let spectroLatestTime = 0;      // Audio time of the newest spectrum
+let spectroHistoryStart = null; // Audio time of the first spectrum kept
+let spectroViewFrame = null;    // Pending view redraw (coalesces pointer events)
+
+// Detection Timeline State
+let timelineCanvas, timelineCtx;
+let timelineSegments = []; // Live segments in audio-context time: { start, end, preds }
+
+// Detection Marker State
+let spectroMarkers = [];         // Detection events in audio-context time: { start, end, name, confidence }
+let liveWindowTimes = new Map(); // windowId -> audio time the window ends
+
+// File Analysis State
+let fileAnalysisActive = false;
+let fileResults = null; // { name, duration, segments: [{ start, end, preds }] }
+
+// History State
+let currentSession = null; // { idPromise } of the running history session, resolves to its id
+let sessionActiveDetections = new Map(); // "channel:species index" -> { idPromise, confidence }
+let detectionClips = new Map(); // Detection key -> { url, filename } of the latest clip
+let clipPlayer = null;
+let historyClipUrls = [];
+let ebirdReview = null; // { session, detections } shown in the eBird review dialog
+
+// Monitoring mode
+let lastPredictWall = 0;      // Wall-clock time of the last window sent for inference
+let samplesSincePredict = 0;  // Samples received from the worklet since then
+let sessionGaps = [];         // { start, end } periods of the session where no audio was analyzed
+let monitoringResuming = false;
+
+// Custom classifier
+let customClassifier = null;   // { classes, trainedAt } of the stored head
+let trainingBusy = false;
+let trainingNewLabels = new Set(); // Classes added in this visit that have no clips yet
+let trainClipLabel = null;     // Class the file picker adds clips to
+
+// Target species alerts
+let lastAlertTimes = new Map(); // Scientific name -> time of the last alert (ms)
 
 // Geolocation State
 let geolocation = null;
@@ -146,7 +253,12 @@ async function loadTranslations(lang) {
     
     // Re-render dynamic lists to apply new translations
     renderDetections(latestDetections);
+    renderFileResults();
     if (document.getElementById("exploreList")) renderExploreList();
+    if (document.getElementById("historyList")) renderHistory();
+    if (document.getElementById("watchListItems")) renderWatchList();
+    if (document.getElementById("trainClassList")) updateTrainingControls();
+    if (document.getElementById("storageList")) renderStorage();
 
     // Update selector if it exists
     const selector = document.getElementById("uiLangSelect");
@@ -218,10 +330,12 @@ let spectroDurationSec = store.getFloat("bn_spec_duration", SPECTRO_DEFAULT_DURA
 let spectroGain = store.getFloat("bn_spec_gain", SPECTRO_DEFAULT_GAIN);
 let spectroAxisTicks = store.getFloat("bn_spec_axis_ticks", 9); 
 let colormapName = store.get("bn_colormap", "viridis");
+let spectroFreqScale = store.get("bn_spec_freq_scale", "linear"); // "linear" | "log" | "mel"
 let colormapFn = d3.interpolateViridis; // Updated in init
 
 // Model & Detection
 let currentLabelLang = store.get("bn_lang", mapBrowserLangToLabelLang(navigator.language));
+let currentModelId = store.get("bn_model", ""); // Empty = manifest default
 let geoEnabled = store.getBool("bn_geo_enabled", true);
 let detectionThreshold = store.getFloat("bn_threshold", 0.15);
 if (detectionThreshold > 1.0) detectionThreshold = 0.15; // Sanity check
@@ -230,6 +344,14 @@ let sensitivity = store.getFloat("bn_sensitivity", 1.0); // New: Sensitivity
 let inferenceInterval = store.getFloat("bn_inference_interval", 500);
 let rumbleFilterFreq = store.getFloat("bn_rumble_freq", 200);
 let geoThreshold = store.getFloat("bn_geo_threshold", 0.05);
+let monitoringMode = store.getBool("bn_monitoring", false);
+let watchList = loadWatchList(); // [{ scientificName, threshold }], threshold null = detection threshold
+let alertSound = store.getBool("bn_alert_sound", true);
+let alertVibrate = store.getBool("bn_alert_vibrate", true);
+let alertNotify = store.getBool("bn_alert_notify", false);
+let alertCooldownSec = store.getFloat("bn_alert_cooldown", 120);
+let inputDeviceId = store.get("bn_input_device", ""); // Empty = system default
+let splitChannels = store.getBool("bn_split_channels", false);
 
 /* ==========================================================================
    5. DOM ACCESSORS
@@ -244,6 +366,7 @@ const geoCoordsEl       = () => document.getElementById("geoCoordsText");
 const settingsToggleEl  = () => document.getElementById("settingsToggle");
 const settingsDrawerEl  = () => document.getElementById("settingsDrawer");
 const settingsOverlayEl = () => document.getElementById("settingsOverlay");
+const analyzeFileButtonEl = () => document.getElementById("analyzeFileButton");
 
 /* ==========================================================================
    6. INITIALIZATION (BOOT)
@@ -257,10 +380,24 @@ document.addEventListener("DOMContentLoaded", () => {
   const browserLang = navigator.language.split("-")[0];
   const initialLang = savedLang || (["de", "en"].includes(browserLang) ? browserLang : "en");
   loadTranslations(initialLang);
+  setupAppUpdates();
   
   const isLive = !!document.getElementById("recordButton");
   const isExplore = !!document.getElementById("exploreList");
 
+  if (document.getElementById("historyList")) setupEbirdReview();
+
+  if (document.getElementById("storageList")) {
+    setupStoragePage();
+    return;
+  }
+
+  if (document.getElementById("trainClassList")) {
+    initWorker();
+    setupTraining();
+    return;
+  }
+
   // Only run if we are on Live or Explore pages
   if (!isLive && !isExplore) return;
 
@@ -270,8 +407,15 @@ document.addEventListener("DOMContentLoaded", () => {
 
   if (isLive) {
     setupRecordButton();
+    setupInputDevices();
+    setupSpectrogramView();
+    setupFileAnalysis();
+    setupWatchList();
+    setupModelSelect();
+    setupCustomModel();
     initSpectrogramCanvas(); // Initialize canvas size immediately to prevent layout shift
   }
+  if (isExplore) setupImagePack();
 
   // Handle Geolocation Initialization
   if (geoEnabled) {
@@ -302,17 +446,21 @@ function initWorker(langOverride) {
     try { birdnetWorker.terminate(); } catch (_) {}
     birdnetWorker = null;
     workerReady = false;
+    rejectWorkerRequests("terminated", "Worker restarted");
     
     // Disable record button while reloading
     const btn = recordButtonEl();
     if (btn) btn.disabled = true;
+    const fileBtn = analyzeFileButtonEl();
+    if (fileBtn) fileBtn.disabled = true;
   }
   
   const prefix = (window.PATH_PREFIX || "/");
   const tfPath = prefix + "js/tfjs-4.14.0.min.js";
+  const wasm   = prefix + "js/tfjs-backend-wasm/";
   const root   = prefix + "models";
   const lang   = langOverride || currentLabelLang || (navigator.language || "en-US");
-  const params = new URLSearchParams({ tf: tfPath, root, lang });
+  const params = new URLSearchParams({ tf: tfPath, wasm, root, lang, model: currentModelId });
   
   const status = statusEl();
   if (status) updateStatus("status_loading_percent", 0);
@@ -322,6 +470,23 @@ function initWorker(langOverride) {
   birdnetWorker.onmessage = (event) => {
     const data = event.data || {};
     switch (data.message) {
+      case "backend":
+        inferenceBackend = data.backend;
+        updateBackendDisplay();
+        break;
+
+      case "model_info":
+        activeModel = data.model;
+        updateModelDisplay();
+        updateOfflineLabelLangs();
+        break;
+
+      case "model_error":
+        console.error("Model error:", data.error);
+        updateStatus("status_model_error", data.error);
+        setCustomModelStatus(currentModelId === CUSTOM_MODEL_ID ? data.error : null);
+        break;
+
       case "load_model":
       case "warmup":
       case "load_geomodel":
@@ -331,11 +496,6 @@ function initWorker(langOverride) {
         }
         break;
         
-      case "labels_loaded":
-        updateStatus("status_ready");
-        requestSpeciesList();
-        break;
-
       case "loaded":
         workerReady = true;
         updateStatus("status_ready");
@@ -343,38 +503,56 @@ function initWorker(langOverride) {
         // Enable record button
         const btn = recordButtonEl();
         if (btn) btn.disabled = false;
+        const fileBtn = analyzeFileButtonEl();
+        if (fileBtn) fileBtn.disabled = false;
 
         if (geolocation) sendAreaScores();
+        if (isListening) connectAudioStream(); // New worker, new ring
         // If on explore page, request list immediately after load
-        if (document.getElementById("exploreList")) requestSpeciesList();
+        // (the watch list needs it too, for suggestions and names)
+        if (document.getElementById("exploreList") || document.getElementById("watchListInput")) {
+          requestSpeciesList();
+        }
+        if (document.getElementById("trainClassList")) updateTrainingControls("msg_train_ready");
         break;
 
-      case "pooled":
-        // Handle inference results
-        if (Array.isArray(data.pooled)) {
-          recentInferenceSets.push(data.pooled);
-          if (recentInferenceSets.length > TEMPORAL_POOL_WINDOW) {
-            recentInferenceSets.shift();
-          }
-        }
-        const toRender = USE_TEMPORAL_POOL
-          ? computeTemporalPooledDetections(recentInferenceSets)
-          : data.pooled;
-        renderDetections(toRender);
-        
-        if (isListening && lastInferenceStart) {
-          lastInferenceMs = Math.round(performance.now() - lastInferenceStart);
-          updateStatus("status_listening_inference", lastInferenceMs);
-        }
+      case "response":
+      case "error":
+        settleWorkerRequest(data);
+        break;
+
+      case "train_progress":
+        setTrainProgress(data.progress);
+        setTrainStatus("status_training", data.progress);
+        break;
+
+      case "custom_loaded":
+        customClassifier = { classes: data.classes, trainedAt: data.trainedAt };
+        updateTrainingControls();
         break;
 
-      case "area-scores":
-        // Geo priors updated, refresh explore list if visible
-        if (document.getElementById("exploreList")) requestSpeciesList();
+      case "segments":
+        if (isListening) addTimelineSegments(data.segments || [], data.channel || 0);
         break;
 
-      case "species_list":
-        renderExploreList(data.list);
+      case "pooled":
+        // Handle inference results (one message per input channel)
+        const channel = data.channel || 0;
+        const sets = recentInferenceSets[channel] || (recentInferenceSets[channel] = []);
+        if (Array.isArray(data.pooled)) {
+          sets.push(data.pooled);
+          if (sets.length > TEMPORAL_POOL_WINDOW) {
+            sets.shift();
+          }
+        }
+        const toRender = (USE_TEMPORAL_POOL
+          ? computeTemporalPooledDetections(sets)
+          : data.pooled) || [];
+        toRender.forEach(p => { p.channel = channel; });
+        channelDetections[channel] = toRender;
+        recordDetections(toRender, data.windowId, channel);
+        checkWatchListAlerts(toRender);
+        renderDetections(channelDetections.flat());
         break;
     }
   };
@@ -385,10 +563,169 @@ function initWorker(langOverride) {
   };
 }
 
-function requestSpeciesList() {
-  if (birdnetWorker) {
-    birdnetWorker.postMessage({ message: "get_species_list" });
+/**
+ * Sends a request to the worker. Resolves with its result, or rejects with
+ * an Error whose code is the worker's error code ("cancelled", "failed", ...).
+ * The promise carries its requestId for cancelWorkerRequest().
+ */
+function workerRequest(message, payload = {}, transfer = []) {
+  if (!birdnetWorker) return Promise.reject(workerRequestError("not_ready", "Worker not running"));
+  const requestId = ++workerRequestCounter;
+  const promise = new Promise((resolve, reject) => {
+    workerRequests.set(requestId, { resolve, reject, message });
+  });
+  promise.requestId = requestId;
+  birdnetWorker.postMessage({ message, requestId, ...payload }, transfer);
+  return promise;
+}
+
+/**
+ * Drops a request the worker has not started yet; it rejects as "cancelled".
+ */
+function cancelWorkerRequest(requestId) {
+  if (birdnetWorker && workerRequests.has(requestId)) {
+    birdnetWorker.postMessage({ message: "cancel", requestId });
+  }
+}
+
+function settleWorkerRequest(data) {
+  const pending = workerRequests.get(data.requestId);
+  if (!pending) {
+    // Failure of a message sent without an id
+    if (data.message === "error") reportWorkerError(data.request, data.error);
+    return;
+  }
+  workerRequests.delete(data.requestId);
+  if (data.message === "response") pending.resolve(data.result);
+  else pending.reject(workerRequestError(data.error.code, data.error.message));
+}
+
+function rejectWorkerRequests(code, message) {
+  workerRequests.forEach(pending => pending.reject(workerRequestError(code, message)));
+  workerRequests.clear();
+  liveRequestIds.clear();
+}
+
+function workerRequestError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Shows a failed request in the status line (cancellations are expected).
+ */
+function reportWorkerError(request, error) {
+  if (!error || ["cancelled", "terminated", "no_audio"].includes(error.code)) return;
+  console.error(`Worker request "${request}" failed:`, error.message);
+  updateStatus("status_worker_request_failed", error.message);
+}
+
+function updateBackendDisplay() {
+  const el = document.getElementById("backendText");
+  if (el) el.textContent = inferenceBackend ? inferenceBackend.toUpperCase() : "—";
+}
+
+function updateModelDisplay() {
+  const select = document.getElementById("modelSelect");
+  if (select && activeModel) select.value = activeModel.id;
+  const info = document.getElementById("modelInfoText");
+  if (info && activeModel) {
+    info.textContent = activeModel.custom
+      ? t("lbl_custom_model_info_text", activeModel.name)
+      : t("lbl_model_info", activeModel.version,
+        `${activeModel.windowSeconds} s @ ${activeModel.sampleRate / 1000} kHz`, activeModel.licence || "—");
+  }
+}
+
+/**
+ * Marks label languages of the active model that are in its cache.
+ * Cache names follow modelCacheName() in sw.js.
+ */
+async function updateOfflineLabelLangs() {
+  const select = document.getElementById("labelLangSelect");
+  if (!select || !activeModel || !("caches" in window)) return;
+  const prefix = window.PATH_PREFIX || "/";
+  const cacheName = `birdnet-model-${activeModel.id}-${activeModel.version}`;
+
+  for (const option of select.options) {
+    const label = LANG_LABELS[option.value] || option.value;
+    let cached = false;
+    if (!activeModel.custom) { // User-supplied labels live in OPFS, not in a cache
+      const url = `${prefix}models/${activeModel.path}/${activeModel.labels}/${option.value}.txt`;
+      cached = !!(await caches.match(url, { cacheName }).catch(() => null));
+    }
+    option.textContent = cached ? `${label} ✓` : label;
+  }
+}
+
+/**
+ * Fills the model selector from the manifest. Switching models stops
+ * listening and restarts the worker with the new model.
+ */
+async function setupModelSelect() {
+  const select = document.getElementById("modelSelect");
+  if (!select) return;
+  try {
+    const prefix = window.PATH_PREFIX || "/";
+    const response = await fetch(`${prefix}models/manifest.json`);
+    if (!response.ok) throw new Error(`Manifest request failed (${response.status})`);
+    modelManifest = await response.json();
+  } catch (e) {
+    console.warn("Model manifest unavailable:", e);
+    modelManifest = { models: [] };
   }
+
+  await renderModelOptions();
+  select.addEventListener("change", () => switchModel(select.value));
+}
+
+async function renderModelOptions() {
+  const select = document.getElementById("modelSelect");
+  if (!select || !modelManifest) return;
+  const custom = await readCustomModelInfo();
+
+  select.innerHTML = (modelManifest.models || [])
+    .map(m => `<option value="${m.id}">${m.name} ${m.version}</option>`)
+    .join("") +
+    (custom ? `<option value="${CUSTOM_MODEL_ID}">${t("lbl_custom_model_option", custom.name)}</option>` : "");
+  select.value = activeModel ? activeModel.id : (currentModelId || modelManifest.default);
+
+  const removeBtn = document.getElementById("customModelRemove");
+  if (removeBtn) removeBtn.classList.toggle("d-none", !custom);
+  updateModelDisplay();
+}
+
+/**
+ * Restarts the worker with another model. Empty id = manifest default.
+ */
+function switchModel(id) {
+  if (isListening) stopListening();
+  currentModelId = id;
+  store.set("bn_model", currentModelId);
+  activeModel = null;
+  latestDetections = [];
+  channelDetections = [];
+  recentInferenceSets = [];
+  renderDetections([]);
+  initWorker();
+}
+
+/**
+ * Identifies the model behind results, stored with sessions and exports.
+ */
+function currentModelSnapshot() {
+  return activeModel
+    ? { id: activeModel.id, version: activeModel.version }
+    : { id: null, version: DEFAULT_MODEL_VERSION };
+}
+
+function requestSpeciesList() {
+  if (!birdnetWorker) return;
+  workerRequest("get_species_list")
+    .then(({ list }) => {
+      renderExploreList(list);
+      updateWatchListOptions();
+    })
+    .catch(e => reportWorkerError("get_species_list", e));
 }
 
 /* ==========================================================================
@@ -412,6 +749,7 @@ function setupRecordButton() {
 }
 
 async function startListening() {
+  if (fileAnalysisActive) return;
   if (!workerReady) {
     updateStatus("status_loading");
     return;
@@ -433,17 +771,13 @@ async function startListening() {
     updateStatus("status_requesting_mic");
     await requestWakeLock();
 
-    currentStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        channelCount: 1,
-        sampleRate: SAMPLE_RATE,
-        echoCancellation: false,
-        noiseSuppression: false,
-        autoGainControl: false
-      }
-    });
+    currentStream = await openMicStream();
+    renderInputDevices(); // Device names are only listed once access is granted
+    lastPredictWall = 0;
 
     await setupAudioGraphFromStream(currentStream);
+    startHistorySession();
+    updateMonitoringIndicator();
     updateStatus("status_listening");
   } catch (e) {
     console.error(e);
@@ -455,6 +789,7 @@ async function startListening() {
 function stopListening() {
   isListening = false;
   releaseWakeLock();
+  endHistorySession();
   
   // UI Updates
   const button = recordButtonEl();
@@ -466,14 +801,68 @@ function stopListening() {
   }
   const spinner = document.getElementById("listeningIndicator");
   if (spinner) spinner.classList.add("d-none");
+  updateMonitoringIndicator();
 
   updateStatus("status_stopped");
 
   // Reset State
   lastInferenceStart = 0;
   lastInferenceMs = null;
+  lastPredictWall = 0;
+  clearTimeout(inferenceTimer);
+  inferenceTimer = null;
+  predictInFlight = false;
+  effectiveInterval = 0;
+  recentSkips = [];
+  liveRequestIds.forEach(cancelWorkerRequest);
+
+  teardownAudioGraph();
+
+  applyDeferredAppUpdate();
+}
+
+async function openMicStream() {
+  const audio = {
+    channelCount: splitChannels ? { ideal: MAX_INPUT_CHANNELS } : 1,
+    sampleRate: SAMPLE_RATE,
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false
+  };
+  if (inputDeviceId) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: { ...audio, deviceId: { exact: inputDeviceId } } });
+    } catch (e) {
+      // Unplugged since it was picked: fall back to the default input
+      if (e.name !== "OverconstrainedError" && e.name !== "NotFoundError") throw e;
+      console.warn("Selected input device unavailable, using the default:", e);
+    }
+  }
+  return navigator.mediaDevices.getUserMedia({ audio });
+}
+
+/**
+ * Applies a new input device or channel setting to a running session.
+ */
+async function restartAudioInput() {
+  if (!isListening) return;
+  try {
+    teardownAudioGraph();
+    currentStream = await openMicStream();
+    await setupAudioGraphFromStream(currentStream);
+    if (currentSession) {
+      currentSession.idPromise
+        .then(id => updateSession(id, { channels: liveChannels }))
+        .catch(e => console.warn("History session not updated:", e));
+    }
+  } catch (e) {
+    console.error(e);
+    updateStatus("status_mic_failed");
+    stopListening();
+  }
+}
 
-  // Cleanup Audio
+function teardownAudioGraph() {
   if (currentStream) {
     currentStream.getTracks().forEach(t => t.stop());
     currentStream = null;
@@ -482,6 +871,7 @@ function stopListening() {
     workletNode.port.onmessage = null;
     workletNode.disconnect();
     workletNode = null;
+    if (birdnetWorker) birdnetWorker.postMessage({ message: "detach_audio" });
   }
   if (gainNode) {
     gainNode.disconnect();
@@ -493,20 +883,60 @@ function stopListening() {
   }
   if (audioContext) {
     stopSpectrogram();
+    audioContext.onstatechange = null;
     audioContext.close();
     audioContext = null;
   }
 }
 
+/**
+ * Opens an AudioContext at the model rate if the browser and device allow
+ * it, otherwise at the device's own rate (the worklet then resamples).
+ * Some browsers reject the rate, others accept it and then refuse to
+ * connect a stream captured at a different one.
+ */
+function openAudioContext(stream) {
+  let context;
+  try {
+    context = new AudioContext({ sampleRate: SAMPLE_RATE });
+    return { context, source: context.createMediaStreamSource(stream) };
+  } catch (e) {
+    if (context) context.close();
+    console.warn(`Cannot capture at ${SAMPLE_RATE} Hz, using the device rate:`, e);
+  }
+  context = new AudioContext();
+  return { context, source: context.createMediaStreamSource(stream) };
+}
+
 async function setupAudioGraphFromStream(stream) {
-  audioContext = new AudioContext({ sampleRate: SAMPLE_RATE });
+  const opened = openAudioContext(stream);
+  audioContext = opened.context;
+  const source = opened.source;
+  if (audioContext.sampleRate !== SAMPLE_RATE) {
+    console.info(`Audio runs at ${audioContext.sampleRate} Hz, resampling to ${SAMPLE_RATE} Hz for inference`);
+  }
+
+  // Channels the device actually delivers (browsers that don't report it get one stream)
+  const track = stream.getAudioTracks()[0];
+  const trackChannels = (track && track.getSettings().channelCount) || 1;
+  const channels = splitChannels ? Math.min(MAX_INPUT_CHANNELS, trackChannels) : 1;
+  if (channels !== liveChannels) {
+    channelDetections = [];
+    recentInferenceSets = [];
+  }
+  liveChannels = channels;
 
   // Resume if suspended (browser requirements)
   if (audioContext.state === "suspended") {
     await audioContext.resume();
   }
-  const source = audioContext.createMediaStreamSource(stream);
-  
+  // Interrupted by the system (calls, other apps); try to get it back
+  audioContext.onstatechange = () => {
+    if (isListening && audioContext && audioContext.state !== "running" &&
+        document.visibilityState === "visible") {
+      resumeMonitoring();
+    }
+  };
   // Create Gain Node (Hardware-like gain)
   gainNode = audioContext.createGain();
   gainNode.gain.value = inputGain;
@@ -524,9 +954,11 @@ async function setupAudioGraphFromStream(stream) {
   // Start visualizer (Connect HighPass -> Spectrogram)
   startSpectrogram(highPassFilterNode);
 
-  // Setup circular buffer for inference
-  circularBuffer = new Float32Array(WINDOW_SAMPLES);
-  circularWriteIndex = 0;
+  samplesSincePredict = 0;
+  timelineSegments = [];
+  spectroMarkers = [];
+  drawDetectionMarkers(true);
+  liveWindowTimes.clear();
 
   if (!audioContext.audioWorklet) {
     updateStatus("status_browser_old");
@@ -536,16 +968,28 @@ async function setupAudioGraphFromStream(stream) {
   // Use AudioWorklet for raw audio access (Replaces ScriptProcessor)
   try {
     const prefix = (window.PATH_PREFIX || "/");
+    await audioContext.audioWorklet.addModule(prefix + "js/audio-ring.js");
+    await audioContext.audioWorklet.addModule(prefix + "js/resampler.js");
     await audioContext.audioWorklet.addModule(prefix + "js/audio-processor.js");
 
-    workletNode = new AudioWorkletNode(audioContext, "audio-processor");
+    // One channel is downmixed by the node, several are kept apart
+    workletNode = new AudioWorkletNode(audioContext, "audio-processor", {
+      channelCount: liveChannels,
+      channelCountMode: "explicit",
+      channelInterpretation: liveChannels > 1 ? "discrete" : "speakers",
+      processorOptions: { targetRate: SAMPLE_RATE, channels: liveChannels }
+    });
+    connectAudioStream();
 
-    // Handle audio data from the worklet
+    // Audio goes straight to the worker, the worklet only reports how much arrived
     workletNode.port.onmessage = (event) => {
-      const input = event.data;
-      for (let i = 0; i < input.length; i++) {
-        circularBuffer[circularWriteIndex] = input[i];
-        circularWriteIndex = (circularWriteIndex + 1) % circularBuffer.length;
+      if (event.data.type !== "progress") return;
+      samplesSincePredict += event.data.samples;
+
+      // Timers are throttled in hidden pages; let incoming audio drive inference
+      if (monitoringMode && document.visibilityState === "hidden" &&
+          Date.now() - lastPredictWall >= (effectiveInterval || inferenceInterval) * 2) {
+        postPredict();
       }
     };
 
@@ -563,48 +1007,116 @@ async function setupAudioGraphFromStream(stream) {
   startInferenceLoop();
 }
 
+/**
+ * Keeps one prediction in flight: the next one is scheduled when the
+ * previous one finishes, so requests never queue up in the worker and
+ * each one carries the freshest audio.
+ */
 function startInferenceLoop() {
-  const tick = () => {
-    if (!isListening || !workerReady || !circularBuffer || !birdnetWorker) return;
-    
-    const windowed = getCurrentWindow();
-    if (windowed) {
-      const geoCtx = geolocation ? {
-        latitude: geolocation.lat,
-        longitude: geolocation.lon
-      } : {};
-      
-      lastInferenceStart = performance.now();
-      birdnetWorker.postMessage(
-        { 
-          message: "predict", 
-          pcmAudio: windowed, 
-          overlapSec: 1.5, 
-          sensitivity: sensitivity, // Pass sensitivity to worker
-          ...geoCtx 
-        },
-        [windowed.buffer]
-      );
+  scheduleInference(0);
+}
+
+function scheduleInference(delay) {
+  clearTimeout(inferenceTimer);
+  inferenceTimer = setTimeout(() => {
+    inferenceTimer = null;
+    if (!isListening || !workerReady || !workletNode || !birdnetWorker) return;
+    // Nothing sent (no new audio, or a prediction still running): retry next interval
+    if (!postPredict()) scheduleInference(inferenceInterval);
+  }, delay);
+}
+
+/**
+ * Sends the most recent window for inference and returns whether it did.
+ * Skipped while no new audio arrives (suspended context), which then
+ * shows up as a session gap.
+ */
+function postPredict() {
+  if (!isListening || !workerReady || !workletNode || !birdnetWorker || !audioContext) return false;
+  if (predictInFlight || samplesSincePredict === 0) return false;
+  samplesSincePredict = 0;
+  trackAnalysisGap();
+
+  const geoCtx = geolocation ? {
+    latitude: geolocation.lat,
+    longitude: geolocation.lon
+  } : {};
+  
+  // The worker reads the window from its ring buffer and keeps it for clips
+  const windowId = ++windowCounter;
+  liveWindowTimes.set(windowId, audioContext.currentTime);
+  if (liveWindowTimes.size > 64) liveWindowTimes.delete(liveWindowTimes.keys().next().value);
+
+  const startedAt = performance.now();
+  lastInferenceStart = startedAt;
+  predictInFlight = true;
+  // Results arrive as "segments" and "pooled" events, the reply only settles the request
+  const request = workerRequest(
+    "predict",
+    { 
+      windowId,
+      overlapSec: 1.5, 
+      offsetSec: audioContext.currentTime - WINDOW_SECONDS, // Segment times in audio-context time
+      minConfidence: SEGMENT_MIN_CONFIDENCE,
+      sensitivity: sensitivity, // Pass sensitivity to worker
+      ...geoCtx 
     }
-    
-    if (isListening) setTimeout(tick, inferenceInterval);
-  };
-  tick();
+  );
+  liveRequestIds.add(request.requestId);
+  request
+    .catch(e => reportWorkerError("predict", e))
+    .finally(() => {
+      liveRequestIds.delete(request.requestId);
+      onLivePredictionDone(startedAt);
+    });
+  return true;
 }
 
 /**
- * Extracts the most recent 3 seconds of audio from the circular buffer.
+ * Adapts the interval to the measured inference time and schedules the
+ * next prediction relative to the start of this one.
  */
-function getCurrentWindow() {
-  if (!circularBuffer) return null;
-  const result = new Float32Array(WINDOW_SAMPLES);
-  let idx = circularWriteIndex; 
-  for (let i = 0; i < WINDOW_SAMPLES; i++) {
-    // Gain is already applied by GainNode, just clamp to prevent clipping artifacts in model
-    result[i] = Math.max(-1, Math.min(1, circularBuffer[idx]));
-    idx = (idx + 1) % circularBuffer.length;
+function onLivePredictionDone(startedAt) {
+  if (startedAt !== lastInferenceStart) return; // From a stopped session
+  predictInFlight = false;
+  if (!isListening) return;
+
+  const now = performance.now();
+  lastInferenceMs = Math.round(now - startedAt);
+  effectiveInterval = Math.max(inferenceInterval, Math.round(lastInferenceMs * INFERENCE_LOAD_FACTOR));
+
+  // Only recent skips count, so the status recovers once inference keeps up
+  const skipped = Math.floor(lastInferenceMs / inferenceInterval);
+  if (skipped > 0) recentSkips.push({ at: now, count: skipped });
+  recentSkips = recentSkips.filter(skip => now - skip.at < SKIP_REPORT_MS);
+  const recentSkipped = recentSkips.reduce((sum, skip) => sum + skip.count, 0);
+
+  if (recentSkipped > 0) {
+    updateStatus("status_listening_backpressure", lastInferenceMs, effectiveInterval, recentSkipped, SKIP_REPORT_MS / 1000);
+  } else {
+    updateStatus("status_listening_inference", lastInferenceMs);
+  }
+  scheduleInference(Math.max(0, effectiveInterval - lastInferenceMs));
+}
+
+/**
+ * Points the worklet at the worker's ring buffers, one per analyzed
+ * channel: shared memory when the page is cross-origin isolated, a
+ * MessageChannel otherwise.
+ */
+function connectAudioStream() {
+  if (!workletNode || !birdnetWorker) return;
+  const capacity = AUDIO_RING_CAPACITY;
+  const channels = liveChannels;
+  if (AudioRing.isSharedAvailable()) {
+    const rings = Array.from({ length: channels }, () => new SharedArrayBuffer(AudioRing.byteLength(capacity)));
+    workletNode.port.postMessage({ type: "connect", rings, capacity });
+    birdnetWorker.postMessage({ message: "attach_audio", rings, capacity });
+  } else {
+    const channel = new MessageChannel();
+    workletNode.port.postMessage({ type: "connect", port: channel.port1 }, [channel.port1]);
+    birdnetWorker.postMessage({ message: "attach_audio", port: channel.port2, channels, capacity }, [channel.port2]);
   }
-  return result;
 }
 
 /* ==========================================================================
@@ -616,68 +1128,83 @@ function initSpectrogramCanvas() {
   spectroCanvas = document.getElementById("liveSpectrogram");
   if (!spectroCanvas) return;
 
-  // Create Axis Overlay if it doesn't exist
+  const prefix = (window.PATH_PREFIX || "/");
+  spectroRenderer = createSpectrogramRenderer(spectroCanvas, prefix + "js/spectrogram-worker.js",
+    { historySec: SPECTRO_HISTORY_SEC });
+  spectroRenderer.setColormap(colormapLut(colormapFn));
+  spectroRenderer.setDbRange(spectroMinDb, spectroMaxDb);
+
+  // Create Axis and Marker Overlays if they don't exist. Markers scroll
+  // with the image, the axis doesn't, so each has its own canvas.
   if (!spectroAxisCanvas) {
     const parent = spectroCanvas.parentElement;
     if (parent) {
       parent.style.position = "relative"; // Ensure positioning context
-      spectroAxisCanvas = document.createElement("canvas");
-      spectroAxisCanvas.className = "spectro-axis-overlay";
-      spectroAxisCanvas.style.position = "absolute";
-      spectroAxisCanvas.style.top = "0";
-      spectroAxisCanvas.style.left = "0";
-      spectroAxisCanvas.style.pointerEvents = "none"; // Let clicks pass through
-      spectroAxisCanvas.style.zIndex = "10"; // Above spectrogram
-      parent.appendChild(spectroAxisCanvas);
+      spectroMarkerCanvas = createSpectroOverlay(parent, "spectro-marker-overlay");
+      spectroMarkerCtx = spectroMarkerCanvas.getContext("2d");
+      spectroAxisCanvas = createSpectroOverlay(parent, "spectro-axis-overlay");
       spectroAxisCtx = spectroAxisCanvas.getContext("2d");
     }
   }
   
+  timelineCanvas = document.getElementById("detectionTimeline");
+  if (timelineCanvas) timelineCtx = timelineCanvas.getContext("2d");
+
   resizeSpectrogramCanvas();
   window.addEventListener("resize", resizeSpectrogramCanvas);
 }
 
+function createSpectroOverlay(parent, className) {
+  const canvas = document.createElement("canvas");
+  canvas.className = className;
+  canvas.style.position = "absolute";
+  canvas.style.top = "0";
+  canvas.style.left = "0";
+  canvas.style.pointerEvents = "none"; // Let clicks pass through
+  canvas.style.zIndex = "10"; // Above spectrogram
+  parent.appendChild(canvas);
+  return canvas;
+}
+
 function resizeSpectrogramCanvas() {
   if (!spectroCanvas) return;
   const cssW = spectroCanvas.clientWidth || 600;
   const cssH = spectroCanvas.clientHeight || 220;
 
-  // Preserve existing content if possible
-  let snapshot = null;
-  if (spectroCtx) {
-    try {
-      snapshot = spectroCtx.getImageData(0, 0, spectroCanvas.width, spectroCanvas.height);
-    } catch (_) {}
-  }
-
-  spectroCanvas.width = cssW;
-  spectroCanvas.height = cssH;
-
-  // Optimize for frequent readback (resizing)
-  spectroCtx = spectroCanvas.getContext("2d", { willReadFrequently: true });
-  spectroCtx.fillStyle = "#000";
-  spectroCtx.fillRect(0, 0, cssW, cssH);
+  // Redrawn from the spectrum history
+  spectroRenderer.resize(cssW, cssH);
+  updateSpectroRowBins();
 
-  if (snapshot) spectroCtx.putImageData(snapshot, 0, 0);
-
-  // Resize Axis Overlay (High DPI support)
-  if (spectroAxisCanvas) {
+  // Resize Axis and Marker Overlays (High DPI support)
+  [[spectroAxisCanvas, spectroAxisCtx], [spectroMarkerCanvas, spectroMarkerCtx]].forEach(([canvas, ctx]) => {
+    if (!canvas) return;
     const dpr = window.devicePixelRatio || 1;
     // Set physical size based on DPR
-    spectroAxisCanvas.width = Math.floor(cssW * dpr);
-    spectroAxisCanvas.height = Math.floor(cssH * dpr);
+    canvas.width = Math.floor(cssW * dpr);
+    canvas.height = Math.floor(cssH * dpr);
     
     // Set CSS size to match layout
-    spectroAxisCanvas.style.width = `${cssW}px`;
-    spectroAxisCanvas.style.height = `${cssH}px`;
+    canvas.style.width = `${cssW}px`;
+    canvas.style.height = `${cssH}px`;
     
     // Scale context so drawing operations use CSS pixels
-    spectroAxisCtx.scale(dpr, dpr);
-    
-    drawSpectrogramAxis();
+    ctx.scale(dpr, dpr);
+  });
+  drawSpectrogramAxis();
+  drawDetectionMarkers(true);
+
+  // Resize Detection Timeline (High DPI support)
+  if (timelineCanvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const timelineH = TIMELINE_MAX_ROWS * TIMELINE_ROW_HEIGHT;
+    timelineCanvas.width = Math.floor(cssW * dpr);
+    timelineCanvas.height = Math.floor(timelineH * dpr);
+    timelineCanvas.style.height = `${timelineH}px`;
+    timelineCtx.scale(dpr, dpr);
+    drawDetectionTimeline();
   }
 
-  spectroColumnSeconds = cssW > 0 ? spectroDurationSec / cssW : 0.05;
+  spectroColumnSeconds = cssW > 0 ? spectroVisibleSeconds() / cssW : 0.05;
   lastSpectroColumnTime = audioContext ? audioContext.currentTime : 0;
 }
 
@@ -699,12 +1226,12 @@ function drawSpectrogramAxis() {
   ctx.textAlign = "right";
   ctx.textBaseline = "middle";
 
+  // Ticks are evenly spaced on the active frequency scale
   const numSteps = spectroAxisTicks;
-  const range = spectroMaxFreq - spectroMinFreq;
 
   for (let i = 0; i <= numSteps; i++) {
     const ratio = i / numSteps;
-    const freq = spectroMinFreq + (range * ratio);
+    const freq = ratioToFreq(ratio);
     // Canvas Y is inverted (0 is top/high freq)
     let y = h - (ratio * h);
     
@@ -726,6 +1253,81 @@ function drawSpectrogramAxis() {
   }
 }
 
+/**
+ * Brackets under the window that triggered each detection, labeled with
+ * species and peak confidence, stacked from the bottom edge when they
+ * overlap. Uses the same time window as the spectrogram view. Skipped
+ * until the markers have moved by a whole pixel, unless forced (markers,
+ * view or colors changed).
+ */
+function drawDetectionMarkers(force = false) {
+  if (!spectroMarkerCtx || !spectroMarkerCanvas) return;
+  const ctx = spectroMarkerCtx;
+  const w = spectroMarkerCanvas.clientWidth;
+  const h = spectroMarkerCanvas.clientHeight;
+  const viewEnd = spectroViewEndTime();
+  const viewSeconds = spectroVisibleSeconds();
+
+  const key = spectroMarkers.length && w ? Math.round((viewEnd / viewSeconds) * w) : null;
+  if (!force && key === spectroMarkerKey) return;
+  spectroMarkerKey = key;
+
+  ctx.clearRect(0, 0, w, h);
+  if (!spectroMarkers.length || !spectroLatestTime || !w) return;
+  const toX = (time) => w - ((viewEnd - time) / viewSeconds) * w;
+
+  ctx.font = "10px system-ui, -apple-system, sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+
+  const laneEnds = new Array(MARKER_LANES).fill(-Infinity); // Rightmost pixel used per lane
+  spectroMarkers
+    .filter(m => m.end > viewEnd - viewSeconds && m.start < viewEnd)
+    .sort((a, b) => a.start - b.start)
+    .forEach(m => {
+      const x0 = toX(m.start);
+      const x1 = toX(m.end);
+      const label = `${m.name} ${Math.round(m.confidence * 100)}%`;
+      const labelX = Math.min(Math.max(x0, 42), x1); // Stays clear of the frequency axis
+      const labelW = ctx.measureText(label).width + 8;
+      const lane = laneEnds.findIndex(end => end < Math.min(x0, labelX));
+      if (lane < 0) return;
+      laneEnds[lane] = Math.max(x1, labelX + labelW);
+
+      const y = h - 4 - (lane + 1) * MARKER_LANE_HEIGHT;
+      ctx.fillStyle = colormapFn(m.confidence);
+      ctx.fillRect(x0, y, x1 - x0, 1);
+      ctx.fillRect(x0, y - 4, 1, 4);
+      ctx.fillRect(x1 - 1, y - 4, 1, 4);
+
+      ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+      ctx.fillRect(labelX, y + 1, labelW, MARKER_LANE_HEIGHT - 3);
+      ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+      ctx.fillText(label, labelX + 4, y + 1 + (MARKER_LANE_HEIGHT - 3) / 2);
+    });
+}
+
+/**
+ * Adds a marker for a new detection event on the window that triggered it.
+ * Returns the marker so its confidence can follow the event's peak.
+ */
+function addDetectionMarker(p, windowId, channel) {
+  const end = liveWindowTimes.get(windowId);
+  if (end === undefined) return null;
+
+  const species = p.commonNameI18n || p.commonName || `Class ${p.index}`;
+  const marker = {
+    start: end - WINDOW_SECONDS,
+    end,
+    name: liveChannels > 1 ? `${species} · ${channelLabel(channel)}` : species,
+    confidence: p.confidence
+  };
+  spectroMarkers = spectroMarkers.filter(m => m.end > spectroLatestTime - TIMELINE_MAX_AGE_SEC);
+  spectroMarkers.push(marker);
+  drawDetectionMarkers(true);
+  return marker;
+}
+
 function startSpectrogram(source) {
   initSpectrogramCanvas();
   if (!spectroCanvas) return;
@@ -737,12 +1339,15 @@ function startSpectrogram(source) {
 
   bufferLength = analyser.frequencyBinCount;
   dataArray = new Float32Array(bufferLength); // Use Float32 for dB
+  spectroNyquist = audioContext.sampleRate / 2;
+
+  // A new context restarts the clock the history is timed with
+  spectroRenderer.clearHistory();
+  spectroHistoryStart = null;
+  spectroLatestTime = audioContext.currentTime;
+  spectroPaused = false;
+  applySpectroView();
 
-  lastSpectroColumnTime = audioContext.currentTime;
-  if (!spectroColumnSeconds) {
-    const w = spectroCanvas.width || 600;
-    spectroColumnSeconds = spectroDurationSec / w;
-  }
   if (!spectroAnimationId) {
     spectroAnimationId = requestAnimationFrame(drawSpectrogram);
   }
@@ -768,6 +1373,20 @@ function updateColormap(name) {
     case "cubehelix": colormapFn = d3.interpolateCubehelixDefault; break;
     default: colormapFn = d3.interpolateMagma; break;
   }
+  if (spectroRenderer) spectroRenderer.setColormap(colormapLut(colormapFn));
+  drawDetectionMarkers(true); // Colored by confidence
+}
+
+/**
+ * Samples a d3 color interpolator into 256 RGBA entries for the renderer.
+ */
+function colormapLut(interpolate) {
+  const lut = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    const c = d3.rgb(interpolate(i / 255));
+    lut.set([c.r, c.g, c.b, 255], i * 4);
+  }
+  return lut;
 }
 
 function drawSpectrogram() {
@@ -776,71 +1395,182 @@ function drawSpectrogram() {
 
   analyser.getFloatFrequencyData(dataArray);
 
-  const w = spectroCanvas.width;
-  const h = spectroCanvas.height;
+  const w = spectroRenderer.width;
+  const h = spectroRenderer.height;
   if (!w || !h) return;
 
-  // Calculate scrolling
+  const audioNow = audioContext.currentTime;
+  spectroLatestTime = audioNow;
+  if (spectroHistoryStart === null) spectroHistoryStart = audioNow;
+
+  // Calculate scrolling (none while paused; the spectrum is still kept)
   if (!spectroColumnSeconds) {
-    spectroColumnSeconds = spectroDurationSec / Math.max(1, w);
+    spectroColumnSeconds = spectroVisibleSeconds() / Math.max(1, w);
+  }
+  let columnsNeeded = 0;
+  if (!spectroPaused) {
+    columnsNeeded = Math.max(0, Math.floor((audioNow - lastSpectroColumnTime) / spectroColumnSeconds));
+    columnsNeeded = Math.min(columnsNeeded, w - 1);
+    lastSpectroColumnTime += columnsNeeded * spectroColumnSeconds;
   }
-  const audioNow = audioContext.currentTime;
-  let columnsNeeded = Math.floor((audioNow - lastSpectroColumnTime) / spectroColumnSeconds);
-  if (columnsNeeded <= 0) return;
-  columnsNeeded = Math.min(columnsNeeded, w - 1);
-  lastSpectroColumnTime += columnsNeeded * spectroColumnSeconds;
-
-  // Shift canvas left
-  spectroCtx.drawImage(
-    spectroCanvas,
-    columnsNeeded, 0, w - columnsNeeded, h,
-    0, 0, w - columnsNeeded, h
-  );
 
-  // Frequency bin mapping
-  const nyquist = SAMPLE_RATE / 2;
-  const startBin = Math.max(0, Math.floor((spectroMinFreq / nyquist) * bufferLength));
-  const endBin = Math.min(bufferLength - 1, Math.floor((spectroMaxFreq / nyquist) * bufferLength));
-  const binCount = endBin - startBin + 1;
+  updateSpectroRowBins();
+  spectroRenderer.pushSpectrum(dataArray, audioNow, columnsNeeded);
 
-  // Draw new columns
-  for (let c = 0; c < columnsNeeded; c++) {
-    const x = w - columnsNeeded + c;
-    
-    // Clear column
-    spectroCtx.fillStyle = "#000";
-    spectroCtx.fillRect(x, 0, 1, h);
+  if (columnsNeeded > 0) {
+    drawDetectionMarkers(); // Markers scroll with the image
+    drawDetectionTimeline();
+  }
+  if (spectroPaused) updateSpectroViewControls();
+}
 
-    // Draw frequency bins
-    for (let i = startBin; i <= endBin; i++) {
-      const db = dataArray[i];
-      
-      // Normalize dB to 0..1 range
-      let norm = (db - spectroMinDb) / (spectroMaxDb - spectroMinDb);
-      norm = Math.max(0, Math.min(1, norm));
-      
-      // Optional: slight gamma for contrast
-      norm = Math.pow(norm, 0.8);
+/**
+ * FFT bins behind each pixel row (row 0 = top) on the active frequency
+ * scale. Recomputed when the scale, range, height or sample rate change.
+ */
+function getSpectroRowBins(h) {
+  const range = spectroFreqRange();
+  const key = `${spectroFreqScale}|${range.min}|${range.max}|${h}|${spectroNyquist}|${bufferLength}`;
+  if (spectroRowBins && spectroRowBins.key === key) return spectroRowBins;
+
+  const binHz = spectroNyquist / bufferLength;
+  const toBin = (freq) => Math.max(0, Math.min(bufferLength - 1, Math.round(freq / binHz)));
+  const from = new Uint16Array(h);
+  const to = new Uint16Array(h);
+  for (let y = 0; y < h; y++) {
+    from[y] = toBin(ratioToFreq((h - y - 1) / h));
+    to[y] = Math.max(from[y], toBin(ratioToFreq((h - y) / h)) - 1);
+  }
+  spectroRowBins = { key, from, to };
+  return spectroRowBins;
+}
 
-      // Map to Y pixels (flip Y so low freq is at bottom)
-      // Calculate exact pixel boundaries for this bin to prevent gaps
-      const relIndex = i - startBin;
-      
-      // yBottom is the lower edge of the bin (lower frequency, higher Y pixel value)
-      const yBottom = h * (1 - relIndex / binCount);
-      // yTop is the upper edge of the bin (higher frequency, lower Y pixel value)
-      const yTop = h * (1 - (relIndex + 1) / binCount);
-      
-      // Snap to integer pixels to avoid sub-pixel rendering gaps
-      const yDraw = Math.floor(yTop);
-      const hDraw = Math.ceil(yBottom) - yDraw;
+/**
+ * Hands the renderer the row mapping once the analyser's bins are known.
+ */
+function updateSpectroRowBins() {
+  if (!spectroRenderer || !bufferLength || !spectroNyquist) return;
+  spectroRenderer.setRowBins(getSpectroRowBins(spectroRenderer.height));
+}
 
-      spectroCtx.fillStyle = colormapFn(norm);
-      spectroCtx.fillRect(x, yDraw, 1, hDraw);
-    }
+/**
+ * Frequency scales of the spectrogram. Mel uses the HTK formula the
+ * model's MelSpecLayerSimple filterbanks are built with, so the image
+ * is spaced like the input the classifier sees.
+ */
+function freqToScale(freq) {
+  switch (spectroFreqScale) {
+    case "log": return Math.log10(Math.max(SPECTRO_LOG_MIN_FREQ, freq));
+    case "mel": return 2595 * Math.log10(1 + freq / 700);
+    default: return freq;
   }
 }
 
+function scaleToFreq(value) {
+  switch (spectroFreqScale) {
+    case "log": return Math.pow(10, value);
+    case "mel": return 700 * (Math.pow(10, value / 2595) - 1);
+    default: return value;
+  }
+}
+
+/**
+ * Frequency at a fraction of the spectrogram height (0 = bottom edge).
+ */
+function ratioToFreq(ratio) {
+  const range = spectroFreqRange();
+  const lo = freqToScale(range.min);
+  const hi = freqToScale(range.max);
+  return scaleToFreq(lo + (hi - lo) * ratio);
+}
+
+/**
+ * Stores live segments for the timeline. Segments re-emitted after a
+ * geo update replace the ones with the same start time.
+ */
+function addTimelineSegments(segments, channel = 0) {
+  segments.forEach(seg => {
+    seg.channel = channel;
+    const existing = timelineSegments.findIndex(s => s.channel === channel && Math.abs(s.start - seg.start) < 1e-3);
+    if (existing >= 0) timelineSegments[existing] = seg;
+    else timelineSegments.push(seg);
+  });
+
+  const now = audioContext ? audioContext.currentTime : 0;
+  timelineSegments = timelineSegments.filter(s => s.end > now - TIMELINE_MAX_AGE_SEC);
+}
+
+/**
+ * Draws which species were detected in which segment, aligned with the
+ * spectrogram above it. Cell intensity encodes confidence.
+ */
+function drawDetectionTimeline() {
+  if (!timelineCtx || !timelineCanvas) return;
+  const ctx = timelineCtx;
+  const w = timelineCanvas.clientWidth;
+  const h = TIMELINE_MAX_ROWS * TIMELINE_ROW_HEIGHT;
+  ctx.clearRect(0, 0, w, h);
+  if (!spectroLatestTime || !w) return;
+
+  // Same time window as the spectrogram view
+  const viewEnd = spectroViewEndTime();
+  const viewSeconds = spectroVisibleSeconds();
+  const viewStart = viewEnd - viewSeconds;
+  const visible = timelineSegments.filter(s => s.end > viewStart && s.start < viewEnd);
+
+  // Pick rows: most confident species (per channel) within the visible range
+  const best = new Map();
+  visible.forEach(seg => {
+    seg.preds.forEach(p => {
+      if (p.confidence < detectionThreshold) return;
+      if (!passesGeoFilter(p)) return;
+      const key = `${seg.channel}:${p.index}`;
+      const prev = best.get(key);
+      if (!prev || p.confidence > prev.confidence) best.set(key, { ...p, channel: seg.channel });
+    });
+  });
+  const rows = Array.from(best.values())
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, TIMELINE_MAX_ROWS);
+
+  const toX = (time) => w - ((viewEnd - time) / viewSeconds) * w;
+
+  rows.forEach((row, r) => {
+    const y = r * TIMELINE_ROW_HEIGHT;
+
+    // Max confidence per pixel column (live windows overlap)
+    const maxConf = new Float32Array(Math.ceil(w));
+    visible.forEach(seg => {
+      if (seg.channel !== row.channel) return;
+      const p = seg.preds.find(pred => pred.index === row.index);
+      if (!p || p.confidence < detectionThreshold) return;
+      const x0 = Math.max(0, Math.floor(toX(seg.start)));
+      const x1 = Math.min(maxConf.length, Math.ceil(toX(seg.end)));
+      for (let x = x0; x < x1; x++) {
+        if (p.confidence > maxConf[x]) maxConf[x] = p.confidence;
+      }
+    });
+
+    for (let x = 0; x < maxConf.length; x++) {
+      if (!maxConf[x]) continue;
+      ctx.fillStyle = colormapFn(maxConf[x]);
+      ctx.fillRect(x, y + 1, 1, TIMELINE_ROW_HEIGHT - 2);
+    }
+
+    // Species label
+    const species = row.commonNameI18n || row.commonName || `Class ${row.index}`;
+    const name = liveChannels > 1 ? `${species} · ${channelLabel(row.channel)}` : species;
+    ctx.font = "10px system-ui, -apple-system, sans-serif";
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    const labelW = ctx.measureText(name).width + 8;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(0, y + 1, labelW, TIMELINE_ROW_HEIGHT - 2);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.fillText(name, 4, y + TIMELINE_ROW_HEIGHT / 2);
+  });
+}
+
 /* ==========================================================================
    10. UI & RENDERING
    ========================================================================== */
@@ -881,6 +1611,17 @@ function initUIControls() {
     });
   }
 
+  // Monitoring Mode Toggle
+  const monitoringToggle = document.getElementById("monitoringToggle");
+  if (monitoringToggle) {
+    monitoringToggle.checked = monitoringMode;
+    monitoringToggle.addEventListener("change", () => {
+      monitoringMode = monitoringToggle.checked;
+      store.set("bn_monitoring", monitoringMode);
+      updateMonitoringIndicator();
+    });
+  }
+
   // Settings Sliders
   bindRange("geoThresholdRange", geoThreshold * 100, (v) => {
     geoThreshold = v / 100;
@@ -892,9 +1633,8 @@ function initUIControls() {
 
   bindRange("durationRange", spectroDurationSec, (v) => {
     spectroDurationSec = v;
-    if (spectroCanvas && spectroCanvas.width > 0) {
-      spectroColumnSeconds = spectroDurationSec / spectroCanvas.width;
-    }
+    spectroViewDuration = 0; // The setting replaces any time zoom
+    applySpectroView();
   }, (v) => `${v}s`, "bn_spec_duration");
 
   bindRange("gainRange", spectroGain, (v) => {
@@ -905,6 +1645,8 @@ function initUIControls() {
     detectionThreshold = v / 100;
     store.set("bn_threshold", detectionThreshold);
     renderDetections();
+    renderFileResults();
+    renderWatchList(); // Placeholders show the threshold empty entries follow
   }, (v) => `${Math.round(v)}%`);
 
   bindRange("inputGainRange", inputGain, (v) => {
@@ -926,14 +1668,20 @@ function initUIControls() {
     inferenceInterval = v;
   }, (v) => `${Math.round(v)} ms`, "bn_inference_interval");
 
+  bindRange("alertCooldownRange", alertCooldownSec, (v) => {
+    alertCooldownSec = v;
+  }, (v) => `${Math.round(v)} s`, "bn_alert_cooldown");
+
   bindRange("minFreqRange", spectroMinFreq, (v) => {
     spectroMinFreq = Math.min(v, spectroMaxFreq - 100);
-    drawSpectrogramAxis();
+    spectroFreqView = null;
+    applySpectroView();
   }, (v) => `${Math.round(v)} Hz`, "bn_spec_min_freq");
 
   bindRange("maxFreqRange", spectroMaxFreq, (v) => {
     spectroMaxFreq = Math.max(v, spectroMinFreq + 100);
-    drawSpectrogramAxis();
+    spectroFreqView = null;
+    applySpectroView();
   }, (v) => `${Math.round(v)} Hz`, "bn_spec_max_freq");
 
   bindRange("axisTicksRange", spectroAxisTicks, (v) => {
@@ -943,15 +1691,28 @@ function initUIControls() {
 
   bindRange("minDbRange", spectroMinDb, (v) => {
     spectroMinDb = Math.min(v, spectroMaxDb - 10);
+    if (spectroRenderer) spectroRenderer.setDbRange(spectroMinDb, spectroMaxDb);
   }, (v) => `${v} dB`, "bn_spec_min_db");
 
   bindRange("maxDbRange", spectroMaxDb, (v) => {
     spectroMaxDb = Math.max(v, spectroMinDb + 10);
+    if (spectroRenderer) spectroRenderer.setDbRange(spectroMinDb, spectroMaxDb);
   }, (v) => `${v} dB`, "bn_spec_max_db");
 
   // Dropdowns
-  const colormapSelect = document.getElementById("colormapSelect");
-  if (colormapSelect) {
+  const freqScaleSelect = document.getElementById("freqScaleSelect");
+  if (freqScaleSelect) {
+    freqScaleSelect.value = spectroFreqScale;
+    freqScaleSelect.addEventListener("change", () => {
+      spectroFreqScale = freqScaleSelect.value;
+      store.set("bn_spec_freq_scale", spectroFreqScale);
+      // Redrawn from the history on the new scale
+      applySpectroView();
+    });
+  }
+
+  const colormapSelect = document.getElementById("colormapSelect");
+  if (colormapSelect) {
     colormapSelect.value = colormapName;
     colormapSelect.addEventListener("change", () => {
       colormapName = colormapSelect.value;
@@ -981,11 +1742,18 @@ function initUIControls() {
       currentLabelLang = langSelect.value;
       store.set("bn_lang", currentLabelLang);
       latestDetections = [];
+      channelDetections = [];
       renderDetections([]);
       
       if (birdnetWorker && workerReady) {
         updateStatus("status_reloading_model");
-        birdnetWorker.postMessage({ message: 'load_labels', lang: currentLabelLang });
+        workerRequest("load_labels", { lang: currentLabelLang })
+          .then(() => {
+            updateStatus("status_ready");
+            requestSpeciesList();
+            updateOfflineLabelLangs(); // The service worker caches a language on first use
+          })
+          .catch(e => reportWorkerError("load_labels", e));
       } else {
         initWorker(currentLabelLang);
       }
@@ -1071,14 +1839,7 @@ function renderDetections(pooled) {
   if (!container) return;
   
   const useGeoFilter = geoEnabled && !!geolocation;
-  const all = latestDetections || [];
-
-  // Filter by Geo (if enabled) and Confidence
-  const afterGeo = useGeoFilter
-    ? all.filter(p => typeof p.geoscore === "number" && p.geoscore >= 0.05)
-    : all;
-  const afterAudio = afterGeo.filter(p => p.confidence >= detectionThreshold);
-  const top = afterAudio.sort((a, b) => b.confidence - a.confidence).slice(0, 20);
+  const top = getVisibleDetections(latestDetections);
 
   // Empty State
   if (!top.length) {
@@ -1113,8 +1874,9 @@ function renderDetections(pooled) {
       : "";
     const commonName = p.commonNameI18n || p.commonName || `Class ${p.index}`;
     const scientificName = p.scientificName || "";
-    const key = scientificName || `idx-${p.index}`;
-    const imgUrl = `https://birdnet.cornell.edu/api2/bird/${encodeURIComponent(scientificName)}.webp`;
+    const key = detectionKey(p);
+    // Custom classes have no species photo
+    const imgUrl = p.custom ? "img/dummy.webp" : speciesImageUrl(scientificName);
 
     newKeys.add(key);
     let cardCol = existingCards.get(key);
@@ -1129,6 +1891,7 @@ function renderDetections(pooled) {
         if (geoInfo) geoDiv.innerHTML = `<i class="bi bi-geo-alt me-1"></i>${geoInfo}`;
         else geoDiv.innerHTML = "";
       }
+      updateClipControls(cardCol, key);
       container.appendChild(cardCol); // Re-order
     } else {
       // CREATE new card
@@ -1141,9 +1904,10 @@ function renderDetections(pooled) {
             <div class="flex-shrink-0 position-relative" style="width: 90px; background-color: #f8f9fa;">
               <img src="${imgUrl}" 
                    alt="${commonName}"
+                   crossorigin="anonymous"
                    loading="lazy"
                    style="width: 100%; height: 100%; object-fit: cover;"
-                   onerror="this.onerror=null; this.src='img/dummy.webp';">
+                   onerror="onSpeciesImageError(this)">
             </div>
             <div class="card-body py-2 px-3 flex-grow-1">
               <div class="d-flex justify-content-between align-items-start mb-1">
@@ -1153,13 +1917,18 @@ function renderDetections(pooled) {
                 </span>
               </div>
               ${scientificName ? `<div class="text-muted fst-italic small mb-2 text-truncate" style="font-size: 0.8rem;">${scientificName}</div>` : ""}
-              <div class="small text-muted border-top pt-2 mt-1 geo-info">
-                ${geoInfo ? `<i class="bi bi-geo-alt me-1"></i>${geoInfo}` : ""}
+              ${liveChannels > 1 ? `<div class="small text-muted mb-2"><i class="bi bi-mic me-1"></i>${channelLabel(p.channel || 0)}</div>` : ""}
+              <div class="d-flex justify-content-between align-items-center border-top pt-2 mt-1">
+                <div class="small text-muted text-truncate geo-info">
+                  ${geoInfo ? `<i class="bi bi-geo-alt me-1"></i>${geoInfo}` : ""}
+                </div>
+                <div class="clip-controls d-flex gap-2 flex-shrink-0"></div>
               </div>
             </div>
           </div>
         </div>
       `;
+      updateClipControls(cardCol, key);
       container.appendChild(cardCol);
     }
   });
@@ -1170,6 +1939,52 @@ function renderDetections(pooled) {
   });
 }
 
+/**
+ * Filters pooled results by geo prior (if enabled) and confidence,
+ * returning the top 20 as shown in the Live View.
+ */
+function getVisibleDetections(pooled) {
+  const afterGeo = (pooled || []).filter(passesGeoFilter);
+  const afterAudio = afterGeo.filter(p => p.confidence >= detectionThreshold);
+  return afterAudio.sort((a, b) => b.confidence - a.confidence).slice(0, 20);
+}
+
+/**
+ * Whether a result is plausible for the area (always true without the geo prior).
+ */
+function passesGeoFilter(p) {
+  if (!geoEnabled || !geolocation) return true;
+  return typeof p.geoscore === "number" && p.geoscore >= GEO_FILTER_MIN_SCORE;
+}
+
+/**
+ * Card images load with CORS so the service worker can cache them. If the
+ * image host refuses that, the image is loaded again without CORS (cached
+ * opaque), and only then replaced by the placeholder.
+ */
+function onSpeciesImageError(img) {
+  if (img.hasAttribute("crossorigin")) {
+    img.removeAttribute("crossorigin");
+    img.src = img.src;
+    return;
+  }
+  img.onerror = null;
+  img.src = "img/dummy.webp";
+}
+
+function speciesImageUrl(scientificName) {
+  return `https://birdnet.cornell.edu/api2/bird/${encodeURIComponent(scientificName)}.webp`;
+}
+
+/**
+ * Species above the occurrence threshold, most likely first.
+ */
+function localSpecies() {
+  return (lastSpeciesList || [])
+    .filter(item => item.geoscore >= geoThreshold)
+    .sort((a, b) => b.geoscore - a.geoscore);
+}
+
 /**
  * Renders the list of local species (Explore View).
  */
@@ -1180,6 +1995,8 @@ function renderExploreList(list) {
   const container = document.getElementById("exploreList");
   if (!container || !sourceList) return;
 
+  updateImagePackButton();
+
   if (!geolocation || !geoEnabled) {
     container.innerHTML = `
       <div class="col-12 text-center py-5 text-muted">
@@ -1190,9 +2007,7 @@ function renderExploreList(list) {
     return;
   }
 
-  const sorted = sourceList
-    .filter(item => item.geoscore >= geoThreshold) 
-    .sort((a, b) => b.geoscore - a.geoscore);
+  const sorted = localSpecies();
 
   container.innerHTML = "";
   
@@ -1204,7 +2019,7 @@ function renderExploreList(list) {
   sorted.forEach(bird => {
     const scorePct = (bird.geoscore * 100).toFixed(1);
     const common = bird.commonNameI18n || bird.commonName;
-    const imgUrl = `https://birdnet.cornell.edu/api2/bird/${encodeURIComponent(bird.scientificName)}.webp`;
+    const imgUrl = speciesImageUrl(bird.scientificName);
     
     const col = document.createElement("div");
     col.className = "col-md-6 col-lg-4";
@@ -1214,9 +2029,10 @@ function renderExploreList(list) {
           <div class="flex-shrink-0 position-relative" style="width: 90px; background-color: #f8f9fa;">
             <img src="${imgUrl}" 
                  alt="${common}"
+                 crossorigin="anonymous"
                  loading="lazy"
                  style="width: 100%; height: 100%; object-fit: cover;"
-                 onerror="this.onerror=null; this.src='img/dummy.webp';">
+                 onerror="onSpeciesImageError(this)">
           </div>
           <div class="card-body py-2 px-3 flex-grow-1">
             <div class="d-flex justify-content-between align-items-start mb-1">
@@ -1308,13 +2124,19 @@ function sendAreaScores() {
     )
   );
   const hour = now.getHours();
-  birdnetWorker.postMessage({
-    message: "area-scores",
+  workerRequest("area-scores", {
     latitude: geolocation.lat,
     longitude: geolocation.lon,
     week,
     hour
-  });
+  })
+    .then(() => {
+      // Geo priors updated, refresh explore list and watch list suggestions if visible
+      if (document.getElementById("exploreList") || document.getElementById("watchListInput")) {
+        requestSpeciesList();
+      }
+    })
+    .catch(e => reportWorkerError("area-scores", e));
 }
 
 /* ==========================================================================
@@ -1348,18 +2170,32 @@ function releaseWakeLock() {
 }
 
 // Lifecycle Management
+// Hiding the page stops listening unless monitoring mode keeps it running
 document.addEventListener("visibilitychange", () => {
-  if (document.visibilityState === "hidden" && isListening) {
-    stopListening();
+  if (!isListening) return;
+  if (document.visibilityState === "hidden") {
+    if (!monitoringMode) stopListening();
+  } else {
+    resumeMonitoring();
   }
 });
 
-window.addEventListener("pagehide", () => {
-  if (isListening) {
+window.addEventListener("pagehide", (evt) => {
+  // A persisted page may come back from the back/forward cache
+  if (isListening && !(monitoringMode && evt.persisted)) {
     stopListening();
   }
 });
 
+window.addEventListener("pageshow", (evt) => {
+  if (evt.persisted && isListening) resumeMonitoring();
+});
+
+// Page Lifecycle API (Chromium): a frozen page runs no code until resumed
+document.addEventListener("resume", () => {
+  if (isListening) resumeMonitoring();
+});
+
 /**
  * Temporal Pooling: Log-Mean-Exp over logits.
  * Smooths predictions over time to reduce noise.
@@ -1408,3 +2244,2081 @@ function computeTemporalPooledDetections(sets) {
   pooled.sort((a, b) => b.confidence - a.confidence);
   return pooled;
 }
+
+/* ==========================================================================
+   13. FILE ANALYSIS
+   ========================================================================== */
+
+function setupFileAnalysis() {
+  const btn = analyzeFileButtonEl();
+  const input = document.getElementById("analyzeFileInput");
+  if (!btn || !input) return;
+
+  const card = document.getElementById("fileResults");
+  if (card) {
+    bindExportMenu(card, () => ({
+      rows: getFileDetectionRows().map(toExportRow),
+      meta: exportMeta(fileResults.name, fileResults.settings, fileResults.model),
+      baseName: fileResults.name.replace(/\.[^.]+$/, "")
+    }));
+  }
+
+  // Initially disable until model loads
+  btn.disabled = true;
+
+  btn.addEventListener("click", () => input.click());
+  input.addEventListener("change", async () => {
+    const file = input.files && input.files[0];
+    input.value = ""; // Allow re-selecting the same file
+    if (file) await analyzeFile(file);
+  });
+
+  const closeBtn = document.getElementById("fileResultsClose");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => {
+      fileResults = null;
+      renderFileResults();
+    });
+  }
+}
+
+/**
+ * Streams an audio file through the worker in chunks; only one chunk is
+ * decoded at a time, so long recordings fit in memory.
+ * Uses the same sensitivity, threshold and rumble filter as live listening.
+ */
+async function analyzeFile(file) {
+  if (!workerReady || isListening || fileAnalysisActive) return;
+  fileAnalysisActive = true;
+
+  const recordBtn = recordButtonEl();
+  const fileBtn = analyzeFileButtonEl();
+  if (recordBtn) recordBtn.disabled = true;
+  if (fileBtn) fileBtn.disabled = true;
+
+  try {
+    updateStatus("status_decoding_file");
+    const source = await openAudioFile(file);
+
+    fileResults = {
+      name: file.name,
+      duration: source.duration || 0, // Compressed files: known at the end
+      settings: currentSettingsSnapshot(),
+      model: currentModelSnapshot(),
+      segments: []
+    };
+    renderFileResults();
+    updateStatus("status_analyzing_file", 0);
+
+    let decodedSamples = 0;
+    const blocks = audioFileBlocks(source, {
+      targetRate: SAMPLE_RATE,
+      highPassFreq: rumbleFilterFreq,
+      blockSamples: FILE_CHUNK_WINDOWS * WINDOW_SAMPLES
+    });
+    for await (const { samples, progress } of blocks) {
+      const chunkStart = decodedSamples / SAMPLE_RATE;
+      decodedSamples += samples.length;
+      const chunkEnd = decodedSamples / SAMPLE_RATE;
+      fileResults.duration = Math.max(fileResults.duration, chunkEnd);
+
+      const segments = await predictFileChunk(samples, chunkStart);
+      segments.forEach(seg => {
+        // Last window is zero-padded, clamp it to the file length
+        seg.end = Math.min(seg.end, chunkEnd);
+        if (seg.start < chunkEnd) fileResults.segments.push(seg);
+      });
+      updateStatus("status_analyzing_file", Math.round(progress * 100));
+      renderFileResults();
+    }
+
+    fileResults.duration = decodedSamples / SAMPLE_RATE;
+    renderFileResults();
+    updateStatus("status_file_done", fileResults.segments.length);
+  } catch (e) {
+    console.error("File analysis failed", e);
+    if (e.code === "file_too_large") {
+      updateStatus("status_file_too_large", Math.round(AUDIO_FILE_DECODE_MAX_BYTES / (1 << 20)));
+    } else {
+      updateStatus("status_file_failed");
+    }
+  } finally {
+    fileAnalysisActive = false;
+    if (recordBtn) recordBtn.disabled = !workerReady;
+    if (fileBtn) fileBtn.disabled = !workerReady;
+    applyDeferredAppUpdate();
+  }
+}
+
+/**
+ * Decodes the first maxSeconds of a file as one 48 kHz mono clip, with
+ * the rumble filter applied so it matches live listening.
+ */
+async function decodeAudioFile(file, maxSeconds) {
+  const maxSamples = Math.round(maxSeconds * SAMPLE_RATE);
+  const source = await openAudioFile(file);
+  const blocks = [];
+  let length = 0;
+  const stream = audioFileBlocks(source, {
+    targetRate: SAMPLE_RATE,
+    highPassFreq: rumbleFilterFreq,
+    blockSamples: FILE_CHUNK_WINDOWS * WINDOW_SAMPLES
+  });
+  for await (const { samples } of stream) {
+    blocks.push(samples);
+    length += samples.length;
+    if (length >= maxSamples) break;
+  }
+
+  const pcm = new Float32Array(Math.min(length, maxSamples));
+  let offset = 0;
+  blocks.forEach(block => {
+    pcm.set(block.subarray(0, pcm.length - offset), offset);
+    offset += Math.min(block.length, pcm.length - offset);
+  });
+  return pcm;
+}
+
+async function predictFileChunk(chunk, offsetSec) {
+  const { segments } = await workerRequest(
+    "predict",
+    {
+      source: "file",
+      pcmAudio: chunk,
+      overlapSec: FILE_OVERLAP_SEC,
+      offsetSec,
+      minConfidence: SEGMENT_MIN_CONFIDENCE,
+      sensitivity: sensitivity
+    },
+    [chunk.buffer]
+  );
+  return segments || [];
+}
+
+/**
+ * Flattens file segments into one row per species and segment,
+ * filtered the same way as the live detection grid.
+ */
+function getFileDetectionRows() {
+  if (!fileResults) return [];
+  const rows = [];
+  fileResults.segments.forEach(seg => {
+    seg.preds
+      .filter(p => p.confidence >= detectionThreshold)
+      .filter(passesGeoFilter)
+      .sort((a, b) => b.confidence - a.confidence)
+      .forEach(p => rows.push({ start: seg.start, end: seg.end, ...p }));
+  });
+  return rows;
+}
+
+function renderFileResults() {
+  const card = document.getElementById("fileResults");
+  const body = document.getElementById("fileResultsBody");
+  if (!card || !body) return;
+
+  if (!fileResults) {
+    card.classList.add("d-none");
+    body.innerHTML = "";
+    return;
+  }
+  card.classList.remove("d-none");
+
+  const title = document.getElementById("fileResultsTitle");
+  if (title) title.textContent = `${fileResults.name} (${formatTime(fileResults.duration)})`;
+
+  const rows = getFileDetectionRows();
+  if (!rows.length) {
+    body.innerHTML = `
+      <tr>
+        <td colspan="5" class="text-center text-muted py-4">${t("msg_no_detections", Math.round(detectionThreshold * 100))}</td>
+      </tr>
+    `;
+    return;
+  }
+
+  body.innerHTML = rows.map(r => `
+    <tr>
+      <td class="text-nowrap">${formatTime(r.start)}</td>
+      <td class="text-nowrap">${formatTime(r.end)}</td>
+      <td class="fw-semibold">${r.commonNameI18n || r.commonName || `Class ${r.index}`}</td>
+      <td class="fst-italic text-muted">${r.scientificName || ""}</td>
+      <td class="text-end">${(r.confidence * 100).toFixed(1)}%</td>
+    </tr>
+  `).join("");
+}
+
+/**
+ * Formats seconds as h:mm:ss.s (hours only when needed).
+ */
+function formatTime(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = (sec % 60).toFixed(1).padStart(4, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/* ==========================================================================
+   14. DETECTION HISTORY
+   ========================================================================== */
+
+function currentSettingsSnapshot() {
+  return {
+    threshold: detectionThreshold,
+    sensitivity: sensitivity,
+    rumbleFilter: rumbleFilterFreq
+  };
+}
+
+function currentLocationSnapshot() {
+  return geolocation
+    ? { lat: geolocation.lat, lon: geolocation.lon, accuracy: geolocation.accuracy }
+    : null;
+}
+
+function startHistorySession() {
+  sessionActiveDetections = new Map();
+  sessionGaps = [];
+  detectionClips.forEach(clip => URL.revokeObjectURL(clip.url));
+  detectionClips = new Map();
+
+  // The session object is the token: a quick stop/start never mixes up ids
+  const idPromise = createSession({
+    startTime: Date.now(),
+    endTime: null,
+    location: currentLocationSnapshot(),
+    settings: currentSettingsSnapshot(),
+    labelLang: currentLabelLang,
+    model: currentModelSnapshot(),
+    channels: liveChannels,
+    gaps: []
+  });
+  idPromise.catch(e => {
+    console.warn("History session not stored:", e);
+    // Detections are still shown and marked, just not stored
+    if (currentSession && currentSession.idPromise === idPromise) currentSession = null;
+  });
+  currentSession = { idPromise };
+}
+
+/**
+ * Closes the running session, also when it is still being created.
+ */
+function endHistorySession() {
+  const session = currentSession;
+  if (!session) return;
+  currentSession = null;
+  sessionActiveDetections = new Map();
+
+  const changes = { endTime: Date.now(), gaps: sessionGaps.slice() };
+  session.idPromise
+    .then(id => updateSession(id, changes))
+    .catch(e => console.warn("History session not updated:", e));
+}
+
+/**
+ * Notes a period of the session in which no audio reached the model,
+ * e.g. while the browser suspended the page.
+ */
+function recordSessionGap(gap) {
+  sessionGaps.push(gap);
+  if (!currentSession) return;
+  const gaps = sessionGaps.slice();
+  currentSession.idPromise
+    .then(id => updateSession(id, { gaps }))
+    .catch(e => console.warn("History session not updated:", e));
+}
+
+/**
+ * Stores a detection when a species crosses the threshold and keeps its
+ * peak confidence while it stays above. Dropping below ends the event,
+ * so the next crossing becomes a new detection. The 3-second window that
+ * triggered the crossing is saved with it as a WAV clip and marked on the
+ * spectrogram. Each input channel has its own detections. Without a
+ * history session (no IndexedDB, or not created yet) events are still
+ * tracked for the markers and clips, only storing is skipped.
+ */
+function recordDetections(pooled, windowId, channel = 0) {
+  if (!isListening) return;
+  const session = currentSession;
+  const visible = getVisibleDetections(pooled);
+  const seen = new Set();
+
+  // The window audio stays in the worker, fetch it once for all new detections
+  let clipPromise = null;
+  const getClip = () => clipPromise || (clipPromise = workerRequest("get_window", { windowId, channel })
+    .then(({ pcm }) => (pcm ? encodeWav(pcm, SAMPLE_RATE) : null)));
+
+  visible.forEach(p => {
+    const activeKey = `${channel}:${p.index}`;
+    seen.add(activeKey);
+    const active = sessionActiveDetections.get(activeKey);
+
+    if (active) {
+      if (p.confidence > active.confidence) {
+        active.confidence = p.confidence;
+        if (active.marker) {
+          active.marker.confidence = p.confidence;
+          drawDetectionMarkers(true);
+        }
+        if (active.idPromise) {
+          active.idPromise
+            .then(id => updateDetection(id, { confidence: p.confidence, geoscore: p.geoscore }))
+            .catch(e => console.warn("History detection not updated:", e));
+        }
+      }
+      return;
+    }
+
+    const timestamp = Date.now();
+    const idPromise = session && session.idPromise.then(sessionId => addDetection({
+      sessionId,
+      timestamp,
+      speciesIndex: p.index,
+      scientificName: p.scientificName,
+      commonName: p.commonName,
+      commonNameI18n: p.commonNameI18n,
+      confidence: p.confidence,
+      geoscore: typeof p.geoscore === "number" ? p.geoscore : null,
+      custom: !!p.custom,
+      channel,
+      location: currentLocationSnapshot(),
+      settings: currentSettingsSnapshot(),
+      clip: null
+    }));
+    if (idPromise) idPromise.catch(e => console.warn("History detection not stored:", e));
+    const marker = addDetectionMarker(p, windowId, channel);
+    sessionActiveDetections.set(activeKey, { idPromise, confidence: p.confidence, marker });
+
+    if (windowId) {
+      getClip()
+        .then(clip => {
+          if (!clip) return;
+          const key = detectionKey(p);
+          const previous = detectionClips.get(key);
+          if (previous) URL.revokeObjectURL(previous.url);
+          detectionClips.set(key, {
+            url: URL.createObjectURL(clip),
+            filename: clipFilename(p.scientificName || `class-${p.index}`, timestamp)
+          });
+          return idPromise && idPromise.then(id => updateDetection(id, { clip }));
+        })
+        .catch(e => console.warn("Detection clip not stored:", e));
+    }
+  });
+
+  for (const key of sessionActiveDetections.keys()) {
+    if (key.startsWith(`${channel}:`) && !seen.has(key)) sessionActiveDetections.delete(key);
+  }
+}
+
+/**
+ * Renders past sessions (History View).
+ */
+async function renderHistory() {
+  const container = document.getElementById("historyList");
+  if (!container) return;
+
+  let entries;
+  try {
+    const sessions = await getSessions();
+    entries = await Promise.all(sessions.map(async session => ({
+      session,
+      detections: await getSessionDetections(session.id)
+    })));
+  } catch (e) {
+    console.error("History load error:", e);
+    container.innerHTML = `<div class="text-center text-muted py-5">${t("msg_history_unavailable")}</div>`;
+    return;
+  }
+
+  if (!entries.length) {
+    container.innerHTML = `
+      <div class="text-center text-muted py-5">
+        <i class="bi bi-clock-history fs-1 d-block mb-3 opacity-25"></i>
+        <p data-i18n="msg_history_empty">${t("msg_history_empty")}</p>
+      </div>
+    `;
+    return;
+  }
+
+  const locale = currentUiLang || undefined;
+  container.innerHTML = "";
+  historyClipUrls.forEach(url => URL.revokeObjectURL(url));
+  historyClipUrls = [];
+
+  for (const { session, detections } of entries) {
+    const species = new Set(detections.map(d => d.speciesIndex));
+    const started = new Date(session.startTime).toLocaleString(locale);
+    const duration = session.endTime ? formatTime((session.endTime - session.startTime) / 1000) : "—";
+    const loc = session.location
+      ? `${session.location.lat.toFixed(4)}, ${session.location.lon.toFixed(4)}`
+      : t("lbl_no_location");
+    const gaps = session.gaps || [];
+    const gapSec = gaps.reduce((sum, g) => sum + (g.end - g.start) / 1000, 0);
+    const gapTitle = gaps
+      .map(g => `${new Date(g.start).toLocaleTimeString(locale)} – ${new Date(g.end).toLocaleTimeString(locale)}`)
+      .join("\n");
+
+    const card = document.createElement("div");
+    card.className = "card border-0 shadow-sm";
+    card.innerHTML = `
+      <div class="card-body">
+        <div class="d-flex justify-content-between align-items-start gap-2">
+          <div>
+            <h6 class="fw-bold mb-1">${started}</h6>
+            <div class="small text-muted">
+              <i class="bi bi-stopwatch me-1"></i>${duration}
+              <i class="bi bi-geo-alt ms-3 me-1"></i>${loc}
+              <i class="bi bi-feather ms-3 me-1"></i>${t("lbl_species_count", species.size)}
+              ${gaps.length ? `
+                <span class="text-warning-emphasis" title="${gapTitle}">
+                  <i class="bi bi-pause-circle ms-3 me-1"></i>${t("lbl_gap_count", gaps.length, formatTime(gapSec))}
+                </span>
+              ` : ""}
+            </div>
+          </div>
+          <div class="d-flex align-items-center gap-3 flex-shrink-0">
+            ${detections.length ? `
+              <button type="button" class="btn btn-outline-success btn-sm history-ebird">
+                <i class="bi bi-card-checklist me-1"></i>${t("btn_ebird")}
+              </button>
+            ` : ""}
+            ${detections.length ? exportMenuHtml() : ""}
+            <button type="button" class="btn btn-link text-danger p-0 history-delete" aria-label="${t("btn_delete")}" title="${t("btn_delete")}">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </div>
+        ${detections.length ? `
+          <div class="table-responsive mt-3">
+            <table class="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th scope="col">${t("col_time")}</th>
+                  <th scope="col">${t("col_species")}</th>
+                  <th scope="col">${t("col_scientific_name")}</th>
+                  <th scope="col" class="text-end">${t("col_confidence")}</th>
+                  <th scope="col"><span class="visually-hidden">${t("col_clip")}</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${detections.map(d => `
+                  <tr>
+                    <td class="text-nowrap">${new Date(d.timestamp).toLocaleTimeString(locale)}</td>
+                    <td class="fw-semibold">
+                      ${d.commonNameI18n || d.commonName || `Class ${d.speciesIndex}`}
+                      ${session.channels > 1 ? `<div class="small text-muted fw-normal">${channelLabel(d.channel || 0, session.channels)}</div>` : ""}
+                    </td>
+                    <td class="fst-italic text-muted">${d.scientificName || ""}</td>
+                    <td class="text-end">${(d.confidence * 100).toFixed(1)}%</td>
+                    <td class="text-end text-nowrap">${d.clip ? clipControlsHtml(historyClipUrl(d), clipFilename(d.scientificName || `class-${d.speciesIndex}`, d.timestamp)) : ""}</td>
+                  </tr>
+                `).join("")}
+              </tbody>
+            </table>
+          </div>
+        ` : `<div class="small text-muted mt-3">${t("msg_history_no_detections")}</div>`}
+      </div>
+    `;
+
+    bindClipControls(card);
+    bindExportMenu(card, () => ({
+      rows: sessionExportRows(session, detections),
+      meta: exportMeta(sessionLabel(session), session.settings, sessionModel(session)),
+      baseName: sessionLabel(session)
+    }));
+    const ebirdBtn = card.querySelector(".history-ebird");
+    if (ebirdBtn) ebirdBtn.addEventListener("click", () => openEbirdReview(session, detections));
+    card.querySelector(".history-delete").addEventListener("click", async () => {
+      if (!confirm(t("msg_confirm_delete_session"))) return;
+      try {
+        await deleteSession(session.id);
+      } catch (err) {
+        console.error("History delete failed:", err);
+        alert(t("msg_history_delete_failed"));
+      }
+      renderHistory();
+    });
+    container.appendChild(card);
+  }
+}
+
+function historyClipUrl(detection) {
+  const url = URL.createObjectURL(detection.clip);
+  historyClipUrls.push(url);
+  return url;
+}
+
+/* ==========================================================================
+   15. DETECTION CLIPS
+   ========================================================================== */
+
+function clipFilename(name, timestamp) {
+  const stamp = new Date(timestamp).toISOString().replace(/[:.]/g, "-");
+  return `${name.replace(/\s+/g, "_")}_${stamp}.wav`;
+}
+
+function clipControlsHtml(url, filename) {
+  return `
+    <button type="button" class="btn btn-link btn-sm p-0 clip-play" data-clip-url="${url}" aria-label="${t("btn_play_clip")}" title="${t("btn_play_clip")}">
+      <i class="bi bi-play-circle"></i>
+    </button>
+    <a class="btn btn-link btn-sm p-0 ms-2" href="${url}" download="${filename}" aria-label="${t("btn_download_clip")}" title="${t("btn_download_clip")}">
+      <i class="bi bi-download"></i>
+    </a>
+  `;
+}
+
+/**
+ * Adds play/download buttons to a live detection card once a clip exists.
+ */
+function updateClipControls(cardCol, key) {
+  const slot = cardCol.querySelector(".clip-controls");
+  const clip = detectionClips.get(key);
+  if (!slot || !clip || slot.dataset.clipUrl === clip.url) return;
+  slot.dataset.clipUrl = clip.url;
+  slot.innerHTML = clipControlsHtml(clip.url, clip.filename);
+  bindClipControls(slot);
+}
+
+function bindClipControls(root) {
+  root.querySelectorAll(".clip-play").forEach(btn => {
+    btn.addEventListener("click", () => toggleClip(btn));
+  });
+}
+
+/**
+ * Plays a clip through a shared audio element; clicking again stops it.
+ */
+function toggleClip(btn) {
+  const url = btn.dataset.clipUrl;
+  if (!clipPlayer) {
+    clipPlayer = new Audio();
+    clipPlayer.addEventListener("ended", () => setClipIcons(null));
+    clipPlayer.addEventListener("pause", () => setClipIcons(null));
+  }
+
+  if (!clipPlayer.paused && clipPlayer.src === url) {
+    clipPlayer.pause();
+    return;
+  }
+  clipPlayer.src = url;
+  clipPlayer.play()
+    .then(() => setClipIcons(url))
+    .catch(e => console.warn("Clip playback failed:", e));
+}
+
+function setClipIcons(playingUrl) {
+  document.querySelectorAll(".clip-play").forEach(btn => {
+    const icon = btn.querySelector("i");
+    if (icon) icon.className = btn.dataset.clipUrl === playingUrl ? "bi bi-stop-circle" : "bi bi-play-circle";
+  });
+}
+
+/**
+ * Encodes mono float samples as a 16-bit PCM WAV file.
+ */
+function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);             // fmt chunk size
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Byte rate
+  view.setUint16(32, 2, true);              // Block align
+  view.setUint16(34, 16, true);             // Bits per sample
+  writeString(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+  }
+  return new Blob([buffer], { type: "audio/wav" });
+}
+
+/* ==========================================================================
+   16. EXPORT
+   ========================================================================== */
+
+function exportMenuHtml() {
+  return `
+    <div class="dropdown">
+      <button class="btn btn-outline-secondary btn-sm dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+        <i class="bi bi-box-arrow-down me-1"></i>${t("btn_export")}
+      </button>
+      <ul class="dropdown-menu dropdown-menu-end">
+        <li><button class="dropdown-item" type="button" data-export-format="csv">${t("export_csv")}</button></li>
+        <li><button class="dropdown-item" type="button" data-export-format="raven">${t("export_raven")}</button></li>
+        <li><button class="dropdown-item" type="button" data-export-format="birdnet_csv">${t("export_birdnet_csv")}</button></li>
+        <li><button class="dropdown-item" type="button" data-export-format="birdnet_table">${t("export_birdnet_table")}</button></li>
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Wires all [data-export-format] items below root.
+ * getExport() returns { rows, meta, baseName } at click time.
+ */
+function bindExportMenu(root, getExport) {
+  root.querySelectorAll("[data-export-format]").forEach(item => {
+    item.addEventListener("click", () => {
+      const { rows, meta, baseName } = getExport();
+      exportDetections(item.dataset.exportFormat, rows, meta, baseName);
+    });
+  });
+}
+
+function exportMeta(source, settings, model) {
+  const m = model || currentModelSnapshot();
+  return {
+    appVersion: APP_VERSION,
+    modelVersion: m.id ? `${m.version} (${m.id})` : m.version,
+    settings: settings || currentSettingsSnapshot(),
+    source
+  };
+}
+
+function toExportRow(r) {
+  return {
+    start: r.start,
+    end: r.end,
+    scientificName: r.scientificName || "",
+    commonName: r.commonNameI18n || r.commonName || "",
+    confidence: r.confidence,
+    geoscore: r.geoscore,
+    custom: !!r.custom,
+    channel: r.channel
+  };
+}
+
+function sessionModel(session) {
+  return session.model || { id: null, version: LEGACY_MODEL_VERSION };
+}
+
+function sessionLabel(session) {
+  return `BirdNET-Live_${new Date(session.startTime).toISOString().replace(/[:.]/g, "-")}`;
+}
+
+/**
+ * Live detections are stored with wall-clock timestamps. Their window is
+ * the 3 seconds before the timestamp, relative to the session start.
+ */
+function sessionExportRows(session, detections) {
+  return detections.map(d => {
+    const end = Math.max(0, (d.timestamp - session.startTime) / 1000);
+    return {
+      ...toExportRow(d),
+      start: Math.max(0, end - WINDOW_SECONDS),
+      end,
+      timestamp: d.timestamp,
+      lat: d.location ? d.location.lat : undefined,
+      lon: d.location ? d.location.lon : undefined
+    };
+  });
+}
+
+/* ==========================================================================
+   17. EBIRD CHECKLIST
+   ========================================================================== */
+
+function setupEbirdReview() {
+  const protocol = document.getElementById("ebirdProtocol");
+  const distance = document.getElementById("ebirdDistance");
+  const exportBtn = document.getElementById("ebirdExportButton");
+  if (!protocol || !distance || !exportBtn) return;
+
+  protocol.addEventListener("change", () => {
+    distance.disabled = protocol.value !== "traveling";
+  });
+  exportBtn.addEventListener("click", exportEbirdChecklist);
+}
+
+/**
+ * Opens the review dialog: one row per species with a checkbox and count.
+ */
+function openEbirdReview(session, detections) {
+  const modalEl = document.getElementById("ebirdModal");
+  const list = document.getElementById("ebirdSpeciesList");
+  if (!modalEl || !list) return;
+  // Custom classes are the user's own labels, not eBird taxa
+  detections = detections.filter(d => !d.custom);
+  ebirdReview = { session, detections };
+
+  // One entry per species, strongest detection first
+  const bySpecies = new Map();
+  detections.forEach(d => {
+    const prev = bySpecies.get(d.speciesIndex);
+    if (!prev || d.confidence > prev.confidence) bySpecies.set(d.speciesIndex, d);
+  });
+  const species = Array.from(bySpecies.values()).sort((a, b) => b.confidence - a.confidence);
+
+  list.innerHTML = species.map(d => `
+    <label class="list-group-item d-flex align-items-center gap-3">
+      <input class="form-check-input flex-shrink-0 m-0" type="checkbox" checked data-species-index="${d.speciesIndex}">
+      <div class="flex-grow-1 overflow-hidden">
+        <div class="fw-semibold text-truncate">${d.commonNameI18n || d.commonName}</div>
+        <div class="small text-muted fst-italic text-truncate">${d.scientificName} · ${(d.confidence * 100).toFixed(1)}%</div>
+      </div>
+      <input type="number" class="form-control form-control-sm flex-shrink-0" style="width: 4.5rem;" min="1" value="1"
+             aria-label="${t("lbl_count")}" data-count-index="${d.speciesIndex}">
+    </label>
+  `).join("");
+
+  const protocol = document.getElementById("ebirdProtocol");
+  const distance = document.getElementById("ebirdDistance");
+  const pathKm = sessionPathKm(session, detections);
+  if (protocol) protocol.value = pathKm >= 0.1 ? "traveling" : "stationary";
+  if (distance) {
+    distance.value = pathKm.toFixed(2);
+    distance.disabled = protocol && protocol.value !== "traveling";
+  }
+
+  bootstrap.Modal.getOrCreateInstance(modalEl).show();
+}
+
+/**
+ * Distance covered during a session, from the start location through
+ * every detection location in time order.
+ */
+function sessionPathKm(session, detections) {
+  const points = [session.location, ...detections.map(d => d.location)].filter(Boolean);
+  let km = 0;
+  for (let i = 1; i < points.length; i++) km += haversineKm(points[i - 1], points[i]);
+  return km;
+}
+
+function exportEbirdChecklist() {
+  if (!ebirdReview) return;
+  const { session, detections } = ebirdReview;
+  const list = document.getElementById("ebirdSpeciesList");
+
+  const included = new Map();
+  list.querySelectorAll("[data-species-index]").forEach(box => {
+    if (!box.checked) return;
+    const index = parseInt(box.dataset.speciesIndex, 10);
+    const countInput = list.querySelector(`[data-count-index='${index}']`);
+    included.set(index, Math.max(1, parseInt(countInput && countInput.value, 10) || 1));
+  });
+  if (!included.size) return;
+
+  const species = [];
+  const added = new Set();
+  detections.forEach(d => {
+    if (!included.has(d.speciesIndex) || added.has(d.speciesIndex)) return;
+    added.add(d.speciesIndex);
+    // eBird matches English common names and scientific names
+    species.push({ commonName: d.commonName, scientificName: d.scientificName, count: included.get(d.speciesIndex) });
+  });
+
+  const location = session.location || (detections.find(d => d.location) || {}).location || null;
+  const endTime = session.endTime || detections[detections.length - 1].timestamp;
+  const settings = session.settings || {};
+  const csv = formatEbirdChecklist(species, {
+    lat: location ? location.lat : undefined,
+    lon: location ? location.lon : undefined,
+    locationName: location ? `BirdNET Live ${location.lat.toFixed(4)}, ${location.lon.toFixed(4)}` : "BirdNET Live",
+    startTime: session.startTime,
+    durationMin: (endTime - session.startTime) / 60000,
+    protocol: document.getElementById("ebirdProtocol").value,
+    distanceKm: parseFloat(document.getElementById("ebirdDistance").value) || 0,
+    comments: `Acoustic detections by BirdNET Live ${APP_VERSION} (model ${sessionModel(session).version}, threshold ${settings.threshold}, sensitivity ${settings.sensitivity})`
+  });
+
+  downloadFile(csv, `${sessionLabel(session)}.eBird.csv`, "text/csv");
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("ebirdModal")).hide();
+}
+
+/* ==========================================================================
+   18. TARGET SPECIES ALERTS
+   ========================================================================== */
+
+/**
+ * Older lists stored bare scientific names; those follow the detection threshold.
+ */
+function loadWatchList() {
+  try {
+    const list = JSON.parse(store.get("bn_watchlist", "[]"));
+    if (!Array.isArray(list)) return [];
+    return list
+      .map(item => (typeof item === "string" ? { scientificName: item, threshold: null } : item))
+      .filter(item => item && item.scientificName);
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveWatchList() {
+  store.set("bn_watchlist", JSON.stringify(watchList));
+}
+
+function setupWatchList() {
+  const input = document.getElementById("watchListInput");
+  const addBtn = document.getElementById("watchListAdd");
+  const items = document.getElementById("watchListItems");
+  if (!input || !addBtn || !items) return;
+
+  const add = () => {
+    const bird = findSpecies(input.value);
+    if (!bird) return;
+    if (!watchList.some(w => w.scientificName === bird.scientificName)) {
+      watchList.push({ scientificName: bird.scientificName, threshold: null });
+      saveWatchList();
+    }
+    input.value = "";
+    renderWatchList();
+  };
+  addBtn.addEventListener("click", add);
+  input.addEventListener("keydown", (evt) => {
+    if (evt.key === "Enter") {
+      evt.preventDefault();
+      add();
+    }
+  });
+
+  items.addEventListener("click", (evt) => {
+    const btn = evt.target.closest("[data-watch-remove]");
+    if (!btn) return;
+    watchList = watchList.filter(w => w.scientificName !== btn.dataset.watchRemove);
+    lastAlertTimes.delete(btn.dataset.watchRemove);
+    saveWatchList();
+    renderWatchList();
+  });
+
+  // Per-species threshold in percent; empty follows the detection threshold
+  items.addEventListener("change", (evt) => {
+    const field = evt.target.closest("[data-watch-threshold]");
+    if (!field) return;
+    const entry = watchList.find(w => w.scientificName === field.dataset.watchThreshold);
+    if (!entry) return;
+    const value = parseFloat(field.value);
+    entry.threshold = Number.isFinite(value) ? Math.min(99, Math.max(1, Math.round(value))) / 100 : null;
+    field.value = entry.threshold === null ? "" : Math.round(entry.threshold * 100);
+    saveWatchList();
+  });
+
+  bindAlertToggle("alertSoundToggle", alertSound, true, (v) => { alertSound = v; }, "bn_alert_sound");
+  bindAlertToggle("alertVibrateToggle", alertVibrate, "vibrate" in navigator, (v) => { alertVibrate = v; }, "bn_alert_vibrate");
+  bindAlertToggle("alertNotifyToggle", alertNotify, "Notification" in window, async (v, toggle) => {
+    if (v && Notification.permission !== "granted") {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        toggle.checked = false;
+        v = false;
+        const hint = document.getElementById("alertNotifyHint");
+        if (hint) hint.textContent = t("msg_alert_notify_denied");
+      }
+    }
+    alertNotify = v;
+    store.set("bn_alert_notify", v);
+  });
+
+  renderWatchList();
+}
+
+function bindAlertToggle(id, initialValue, supported, onChange, storageKey) {
+  const toggle = document.getElementById(id);
+  if (!toggle) return;
+  toggle.disabled = !supported;
+  toggle.checked = supported && initialValue;
+  toggle.addEventListener("change", () => {
+    onChange(toggle.checked, toggle);
+    if (storageKey) store.set(storageKey, toggle.checked);
+  });
+}
+
+/**
+ * Resolves user input against the species list by scientific or
+ * (translated) common name, case-insensitive.
+ */
+function findSpecies(query) {
+  const q = (query || "").trim().toLowerCase();
+  if (!q || !lastSpeciesList) return null;
+  return lastSpeciesList.find(b =>
+    (b.scientificName || "").toLowerCase() === q ||
+    (b.commonNameI18n || "").toLowerCase() === q ||
+    (b.commonName || "").toLowerCase() === q
+  ) || null;
+}
+
+/**
+ * Fills the species suggestions, most likely species for the area first.
+ */
+function updateWatchListOptions() {
+  const datalist = document.getElementById("watchListOptions");
+  if (!datalist || !lastSpeciesList) return;
+  const sorted = [...lastSpeciesList].sort((a, b) => (b.geoscore || 0) - (a.geoscore || 0));
+  datalist.innerHTML = sorted
+    .map(b => `<option value="${b.commonNameI18n || b.commonName}" label="${b.scientificName}"></option>`)
+    .join("");
+  renderWatchList();
+}
+
+function renderWatchList() {
+  const items = document.getElementById("watchListItems");
+  if (!items) return;
+  const input = document.getElementById("watchListInput");
+  if (input) input.placeholder = t("ph_watchlist_search");
+
+  if (!watchList.length) {
+    items.innerHTML = `<div class="small text-muted">${t("msg_watchlist_empty")}</div>`;
+    return;
+  }
+  const placeholder = Math.round(detectionThreshold * 100);
+  items.innerHTML = watchList.map(({ scientificName: name, threshold }) => {
+    const bird = findSpecies(name);
+    const label = bird ? (bird.commonNameI18n || bird.commonName) : name;
+    const value = threshold === null ? "" : Math.round(threshold * 100);
+    return `
+      <span class="badge rounded-pill text-bg-light border d-inline-flex align-items-center gap-1 py-2 px-3" title="${name}">
+        <i class="bi bi-bell-fill text-warning"></i>${label}
+        <input type="number" class="form-control form-control-sm watch-threshold ms-1" min="1" max="99" step="1"
+          value="${value}" placeholder="${placeholder}" aria-label="${t("lbl_watch_threshold")}"
+          title="${t("lbl_watch_threshold")}" data-watch-threshold="${name}">%
+        <button type="button" class="btn-close ms-1" style="font-size: 0.55rem;" aria-label="${t("btn_remove")}" data-watch-remove="${name}"></button>
+      </span>
+    `;
+  }).join("");
+}
+
+/**
+ * Alerts for watched species above their threshold, at most once per
+ * species per cooldown period.
+ */
+function checkWatchListAlerts(pooled) {
+  if (!isListening || !watchList.length) return;
+  const now = Date.now();
+
+  // Custom class labels can look like species names but are not species
+  (pooled || []).filter(p => !p.custom && passesGeoFilter(p)).forEach(p => {
+    const entry = watchList.find(w => w.scientificName === p.scientificName);
+    if (!entry) return;
+    const threshold = entry.threshold === null ? detectionThreshold : entry.threshold;
+    if (p.confidence < threshold) return;
+    const last = lastAlertTimes.get(p.scientificName);
+    if (last && now - last < alertCooldownSec * 1000) return;
+    lastAlertTimes.set(p.scientificName, now);
+    fireAlert(p);
+  });
+}
+
+function fireAlert(p) {
+  if (alertSound) playChime();
+  if (alertVibrate && "vibrate" in navigator) navigator.vibrate(ALERT_VIBRATION_PATTERN);
+  // The page itself shows the detection; notify only when it can't be seen
+  if (alertNotify && document.visibilityState === "hidden") showAlertNotification(p);
+}
+
+/**
+ * Two-tone chime on the running audio context (the mic graph never
+ * reaches the speakers, so this is the only output).
+ */
+function playChime() {
+  if (!audioContext || audioContext.state !== "running") return;
+  const start = audioContext.currentTime;
+  [880, 1320].forEach((freq, i) => {
+    const osc = audioContext.createOscillator();
+    const env = audioContext.createGain();
+    const t0 = start + i * 0.18;
+    osc.type = "sine";
+    osc.frequency.value = freq;
+    env.gain.setValueAtTime(0.0001, t0);
+    env.gain.exponentialRampToValueAtTime(0.3, t0 + 0.02);
+    env.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.4);
+    osc.connect(env).connect(audioContext.destination);
+    osc.start(t0);
+    osc.stop(t0 + 0.45);
+  });
+}
+
+async function showAlertNotification(p) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+  const prefix = window.PATH_PREFIX || "/";
+  const title = t("notify_alert_title", p.commonNameI18n || p.commonName);
+  const options = {
+    body: t("notify_alert_body", p.scientificName, (p.confidence * 100).toFixed(1)),
+    icon: prefix + ALERT_NOTIFICATION_ICON,
+    tag: `birdnet-alert-${p.scientificName}`,
+    renotify: true
+  };
+  try {
+    // Mobile browsers only allow notifications through the service worker
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (reg) await reg.showNotification(title, options);
+    else new Notification(title, options);
+  } catch (e) {
+    console.warn("Alert notification failed:", e);
+  }
+}
+
+/* ==========================================================================
+   19. MONITORING MODE
+   ========================================================================== */
+
+/**
+ * Records a gap when consecutive windows no longer overlap, i.e. some
+ * audio between them was never analyzed.
+ */
+function trackAnalysisGap() {
+  const now = Date.now();
+  if (lastPredictWall && now - lastPredictWall > (WINDOW_SECONDS + MONITOR_GAP_TOLERANCE_SEC) * 1000) {
+    recordSessionGap({ start: lastPredictWall, end: now - WINDOW_SECONDS * 1000 });
+  }
+  lastPredictWall = now;
+}
+
+/**
+ * Brings a session back after the page was hidden, frozen or interrupted:
+ * reopens the microphone if the browser ended it, otherwise resumes the
+ * suspended audio context.
+ */
+async function resumeMonitoring() {
+  if (!isListening || monitoringResuming) return;
+  monitoringResuming = true;
+  try {
+    if (!wakeLock) await requestWakeLock();
+
+    const micEnded = !currentStream ||
+      currentStream.getAudioTracks().every(track => track.readyState === "ended");
+    if (micEnded) {
+      teardownAudioGraph();
+      currentStream = await openMicStream();
+      await setupAudioGraphFromStream(currentStream);
+    } else if (audioContext && audioContext.state !== "running") {
+      await audioContext.resume();
+    }
+    if (isListening) updateStatus("status_listening");
+  } catch (e) {
+    console.error("Monitoring resume failed:", e);
+    updateStatus("status_mic_failed");
+    stopListening();
+  } finally {
+    monitoringResuming = false;
+  }
+}
+
+const baseDocumentTitle = document.title;
+
+function updateMonitoringIndicator() {
+  const active = isListening && monitoringMode;
+  const badge = document.getElementById("monitoringBadge");
+  if (badge) badge.classList.toggle("d-none", !active);
+  // Visible in the tab strip and task switcher while the page is hidden
+  document.title = active ? `● ${baseDocumentTitle}` : baseDocumentTitle;
+}
+
+/* ==========================================================================
+   20. CUSTOM CLASSIFIER TRAINING
+   ========================================================================== */
+
+function setupTraining() {
+  const form = document.getElementById("trainNewClassForm");
+  const nameInput = document.getElementById("trainNewClassName");
+  const clipInput = document.getElementById("trainClipInput");
+  const list = document.getElementById("trainClassList");
+  const trainBtn = document.getElementById("trainButton");
+  const clearBtn = document.getElementById("trainClearButton");
+  if (!form || !nameInput || !clipInput || !list) return;
+
+  form.addEventListener("submit", (evt) => {
+    evt.preventDefault();
+    const label = nameInput.value.replace(/[<>"&]/g, "").trim();
+    if (!label || label === TRAIN_BACKGROUND_LABEL) return;
+    trainingNewLabels.add(label);
+    nameInput.value = "";
+    renderTrainingClasses();
+  });
+
+  list.addEventListener("click", async (evt) => {
+    const addBtn = evt.target.closest("[data-train-add]");
+    if (addBtn) {
+      trainClipLabel = addBtn.dataset.trainAdd;
+      clipInput.click();
+      return;
+    }
+    const deleteBtn = evt.target.closest("[data-train-delete]");
+    if (deleteBtn) {
+      const label = deleteBtn.dataset.trainDelete;
+      if (!confirm(t("msg_confirm_delete_class", trainingLabelName(label)))) return;
+      trainingNewLabels.delete(label);
+      try {
+        await deleteTrainingLabel(label);
+      } catch (e) {
+        console.error("Training data not deleted:", e);
+      }
+      renderTrainingClasses();
+    }
+  });
+
+  clipInput.addEventListener("change", async () => {
+    const files = Array.from(clipInput.files || []);
+    clipInput.value = ""; // Allow re-selecting the same files
+    if (files.length && trainClipLabel) await addTrainingClips(trainClipLabel, files);
+  });
+
+  if (trainBtn) trainBtn.addEventListener("click", trainCustomClassifier);
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      if (!confirm(t("msg_confirm_remove_custom"))) return;
+      workerRequest("clear_custom")
+        .then(() => {
+          customClassifier = null;
+          updateTrainingControls("msg_train_ready");
+        })
+        .catch(e => updateTrainingControls("msg_train_failed", e.message));
+    });
+  }
+}
+
+function trainingLabelName(label) {
+  return label === TRAIN_BACKGROUND_LABEL ? t("lbl_background_class") : label;
+}
+
+/**
+ * Lists the background class and every labeled class with its clip counts.
+ */
+async function renderTrainingClasses() {
+  const list = document.getElementById("trainClassList");
+  if (!list) return;
+
+  let examples;
+  try {
+    examples = await getModelTrainingExamples();
+  } catch (e) {
+    console.error("Training data load error:", e);
+    list.innerHTML = `<div class="text-center text-muted py-5">${t("msg_training_unavailable")}</div>`;
+    return;
+  }
+
+  const byLabel = new Map([[TRAIN_BACKGROUND_LABEL, { clips: 0, seconds: 0 }]]);
+  trainingNewLabels.forEach(label => byLabel.set(label, { clips: 0, seconds: 0 }));
+  examples.forEach(ex => {
+    const entry = byLabel.get(ex.label) || { clips: 0, seconds: 0 };
+    entry.clips += 1;
+    entry.seconds += ex.count * WINDOW_SECONDS;
+    byLabel.set(ex.label, entry);
+  });
+
+  list.innerHTML = Array.from(byLabel.entries()).map(([label, entry]) => {
+    const isBackground = label === TRAIN_BACKGROUND_LABEL;
+    return `
+      <div class="card border-0 shadow-sm">
+        <div class="card-body d-flex justify-content-between align-items-center gap-3">
+          <div class="overflow-hidden">
+            <h6 class="fw-bold mb-1 text-truncate">
+              <i class="bi ${isBackground ? "bi-soundwave" : "bi-tag"} me-1"></i>${trainingLabelName(label)}
+            </h6>
+            <div class="small text-muted">
+              ${t("lbl_clip_count", entry.clips, formatTime(entry.seconds))}
+              ${isBackground ? `<br>${t("msg_background_hint")}` : ""}
+            </div>
+          </div>
+          <div class="d-flex align-items-center gap-3 flex-shrink-0">
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-train-add="${label}" ${trainingBusy ? "disabled" : ""}>
+              <i class="bi bi-file-earmark-plus me-1"></i>${t("btn_add_clips")}
+            </button>
+            ${isBackground && !entry.clips ? "" : `
+              <button type="button" class="btn btn-link text-danger p-0" data-train-delete="${label}" aria-label="${t("btn_delete")}" title="${t("btn_delete")}" ${trainingBusy ? "disabled" : ""}>
+                <i class="bi bi-trash"></i>
+              </button>
+            `}
+          </div>
+        </div>
+      </div>
+    `;
+  }).join("");
+}
+
+/**
+ * Embeds each file in the worker and stores the embeddings under label.
+ * Every 3 s window of a clip becomes one training example.
+ */
+async function addTrainingClips(label, files) {
+  if (!workerReady || trainingBusy) return;
+  trainingBusy = true;
+  updateTrainingControls();
+
+  try {
+    for (let i = 0; i < files.length; i++) {
+      setTrainStatus("status_embedding_clip", files[i].name, i + 1, files.length);
+      const pcm = await decodeAudioFile(files[i], TRAIN_MAX_CLIP_SEC);
+      const result = await embedClip(pcm);
+      await addTrainingExample({
+        label,
+        modelId: currentModelSnapshot().id,
+        source: files[i].name,
+        createdAt: Date.now(),
+        count: result.count,
+        dim: result.dim,
+        embeddings: result.embeddings
+      });
+      trainingNewLabels.delete(label);
+    }
+    trainingBusy = false;
+    updateTrainingControls("msg_clips_added", files.length);
+  } catch (e) {
+    console.error("Training clip failed:", e);
+    trainingBusy = false;
+    updateTrainingControls("msg_train_failed", e.message || e);
+  }
+  renderTrainingClasses();
+  applyDeferredAppUpdate();
+}
+
+/**
+ * Embeddings only make sense for the model that produced them.
+ */
+async function getModelTrainingExamples() {
+  const examples = await getTrainingExamples();
+  const modelId = currentModelSnapshot().id;
+  return examples.filter(ex => !ex.modelId || !modelId || ex.modelId === modelId);
+}
+
+function embedClip(pcm) {
+  return workerRequest("embed", { pcmAudio: pcm }, [pcm.buffer]);
+}
+
+async function trainCustomClassifier() {
+  if (!workerReady || trainingBusy) return;
+
+  let examples;
+  try {
+    examples = await getModelTrainingExamples();
+  } catch (e) {
+    console.error("Training data load error:", e);
+    return;
+  }
+  const classes = Array.from(new Set(examples.map(ex => ex.label)))
+    .filter(label => label !== TRAIN_BACKGROUND_LABEL)
+    .sort();
+  const hasNegatives = classes.length > 1 || examples.some(ex => ex.label === TRAIN_BACKGROUND_LABEL);
+  if (!classes.length || !hasNegatives) {
+    setTrainStatus("msg_train_need_more");
+    return;
+  }
+
+  trainingBusy = true;
+  updateTrainingControls();
+  setTrainProgress(0);
+  setTrainStatus("status_training", 0);
+  try {
+    const result = await workerRequest("train_custom", { examples, classes, epochs: TRAIN_EPOCHS });
+    customClassifier = { classes: result.classes, trainedAt: result.trainedAt };
+    trainingBusy = false;
+    setTrainProgress(null);
+    updateTrainingControls("msg_train_done", typeof result.accuracy === "number" ? (result.accuracy * 100).toFixed(1) : "—");
+  } catch (e) {
+    console.error("Custom classifier error:", e);
+    trainingBusy = false;
+    setTrainProgress(null);
+    updateTrainingControls("msg_train_failed", e.message);
+  }
+  applyDeferredAppUpdate();
+}
+
+function updateTrainingControls(statusKey, ...args) {
+  const trainBtn = document.getElementById("trainButton");
+  const clearBtn = document.getElementById("trainClearButton");
+  if (trainBtn) trainBtn.disabled = !workerReady || trainingBusy;
+  if (clearBtn) clearBtn.disabled = !workerReady || trainingBusy || !customClassifier;
+  const nameInput = document.getElementById("trainNewClassName");
+  if (nameInput) nameInput.placeholder = t("ph_class_name");
+
+  const info = document.getElementById("customModelInfo");
+  if (info) {
+    info.textContent = customClassifier
+      ? t("lbl_custom_model_info", customClassifier.classes.join(", "),
+          new Date(customClassifier.trainedAt).toLocaleString(currentUiLang || undefined))
+      : t("msg_no_custom_model");
+  }
+  if (statusKey) setTrainStatus(statusKey, ...args);
+  renderTrainingClasses();
+}
+
+function setTrainStatus(key, ...args) {
+  const el = document.getElementById("trainStatus");
+  if (!el) return;
+  el.textContent = t(key, ...args);
+  if (args.length === 0) el.setAttribute("data-i18n", key);
+  else el.removeAttribute("data-i18n");
+}
+
+function setTrainProgress(percent) {
+  const wrap = document.getElementById("trainProgress");
+  if (!wrap) return;
+  wrap.classList.toggle("d-none", percent === null);
+  const bar = wrap.querySelector(".progress-bar");
+  if (bar) bar.style.width = `${percent || 0}%`;
+}
+
+/* ==========================================================================
+   21. USER-SUPPLIED MODELS
+   ========================================================================== */
+
+function setupCustomModel() {
+  const btn = document.getElementById("customModelButton");
+  const input = document.getElementById("customModelInput");
+  const removeBtn = document.getElementById("customModelRemove");
+  if (!btn || !input) return;
+
+  if (!navigator.storage || !navigator.storage.getDirectory) {
+    btn.disabled = true;
+    setCustomModelStatus(t("msg_custom_model_unsupported"));
+    return;
+  }
+
+  btn.addEventListener("click", () => input.click());
+  input.addEventListener("change", async () => {
+    const files = Array.from(input.files || []);
+    input.value = ""; // Allow re-selecting the same files
+    if (!files.length) return;
+    try {
+      setCustomModelStatus(t("status_custom_model_saving"));
+      await importCustomModel(files);
+      setCustomModelStatus(null);
+      await renderModelOptions();
+      switchModel(CUSTOM_MODEL_ID);
+    } catch (e) {
+      console.error("Custom model import failed:", e);
+      setCustomModelStatus(e.message || String(e));
+    }
+  });
+
+  if (removeBtn) {
+    removeBtn.addEventListener("click", async () => {
+      if (!confirm(t("msg_confirm_remove_custom_model"))) return;
+      try {
+        const root = await navigator.storage.getDirectory();
+        await root.removeEntry(CUSTOM_MODEL_DIR, { recursive: true });
+      } catch (e) {
+        console.warn("Custom model not removed:", e);
+      }
+      if (currentModelId === CUSTOM_MODEL_ID) switchModel("");
+      await renderModelOptions();
+    });
+  }
+}
+
+/**
+ * Shows an error (or any message) under the custom model button;
+ * null restores the hint.
+ */
+function setCustomModelStatus(message) {
+  const el = document.getElementById("customModelStatus");
+  if (!el) return;
+  el.classList.toggle("text-danger", !!message);
+  if (message) {
+    el.textContent = message;
+    el.removeAttribute("data-i18n");
+  } else {
+    el.textContent = t("msg_custom_model_hint");
+    el.setAttribute("data-i18n", "msg_custom_model_hint");
+  }
+}
+
+async function readCustomModelInfo() {
+  if (!navigator.storage || !navigator.storage.getDirectory) return null;
+  try {
+    const root = await navigator.storage.getDirectory();
+    const dir = await root.getDirectoryHandle(CUSTOM_MODEL_DIR);
+    const file = await (await dir.getFileHandle(CUSTOM_MODEL_INFO)).getFile();
+    return JSON.parse(await file.text());
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Checks that the selection is a complete TF.js layers model plus labels
+ * and copies it into OPFS, replacing any previous custom model.
+ */
+async function importCustomModel(files) {
+  const modelFile = files.find(f => f.name.toLowerCase().endsWith(".json"));
+  const labelsFile = files.find(f => f.name.toLowerCase().endsWith(".txt"));
+  if (!modelFile || !labelsFile) throw new Error(t("msg_custom_model_missing_files"));
+
+  let artifacts;
+  try {
+    artifacts = JSON.parse(await modelFile.text());
+  } catch (_) {
+    throw new Error(t("msg_custom_model_invalid", modelFile.name));
+  }
+  if (!artifacts.modelTopology || !Array.isArray(artifacts.weightsManifest)) {
+    throw new Error(t("msg_custom_model_invalid", modelFile.name));
+  }
+
+  // tf.io.browserFiles matches shards by file name
+  const shardNames = artifacts.weightsManifest.flatMap(group => group.paths.map(p => p.split("/").pop()));
+  const missing = shardNames.filter(name => !files.some(f => f.name === name));
+  if (missing.length) throw new Error(t("msg_custom_model_missing_shards", missing.join(", ")));
+
+  const root = await navigator.storage.getDirectory();
+  await root.removeEntry(CUSTOM_MODEL_DIR, { recursive: true }).catch(() => {});
+  const dir = await root.getDirectoryHandle(CUSTOM_MODEL_DIR, { create: true });
+
+  const info = {
+    name: labelsFile.name.replace(/\.txt$/i, "").replace(/_Labels$/i, "") || "Custom",
+    modelFile: modelFile.name,
+    weightFiles: shardNames,
+    labelsFile: labelsFile.name,
+    addedAt: Date.now()
+  };
+  const toWrite = [modelFile, labelsFile, ...shardNames.map(name => files.find(f => f.name === name))];
+  for (const file of toWrite) {
+    await writeOpfsFile(dir, file.name, file);
+  }
+  await writeOpfsFile(dir, CUSTOM_MODEL_INFO, new Blob([JSON.stringify(info)], { type: "application/json" }));
+}
+
+async function writeOpfsFile(dir, name, blob) {
+  const handle = await dir.getFileHandle(name, { create: true });
+  if (!handle.createWritable) throw new Error(t("msg_custom_model_unsupported"));
+  const writable = await handle.createWritable();
+  await writable.write(blob);
+  await writable.close();
+}
+
+/* ==========================================================================
+   22. APP UPDATES
+   ========================================================================== */
+
+let waitingServiceWorker = null;
+let updateWhenIdle = false; // Reload requested while busy (see appBusy)
+
+/**
+ * A new service worker installs in the background and waits. The banner
+ * lets the user switch over; while listening, analyzing a file or
+ * training, the reload waits until that has finished.
+ */
+function setupAppUpdates() {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.ready.then(reg => {
+    // No controller means this is the first install, not an update
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateBanner(worker);
+      });
+    });
+  });
+
+  // Fires here too when another tab applied the update
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading) return;
+    waitingServiceWorker = null;
+    if (appBusy()) {
+      updateWhenIdle = true;
+      setUpdateBannerText("msg_update_deferred");
+      return;
+    }
+    reloading = true;
+    window.location.reload();
+  });
+
+  const button = document.getElementById("updateReloadButton");
+  if (button) button.addEventListener("click", applyAppUpdate);
+}
+
+function showUpdateBanner(worker) {
+  waitingServiceWorker = worker;
+  const banner = document.getElementById("updateBanner");
+  if (banner) banner.classList.remove("d-none");
+  setUpdateBannerText(updateWhenIdle ? "msg_update_deferred" : "msg_update_ready");
+}
+
+function setUpdateBannerText(key) {
+  const text = document.getElementById("updateBannerText");
+  if (!text) return;
+  text.textContent = t(key);
+  text.setAttribute("data-i18n", key);
+}
+
+/**
+ * Work a reload would lose.
+ */
+function appBusy() {
+  return isListening || fileAnalysisActive || trainingBusy;
+}
+
+function applyAppUpdate() {
+  if (appBusy()) {
+    updateWhenIdle = true;
+    setUpdateBannerText("msg_update_deferred");
+    return;
+  }
+  updateWhenIdle = false;
+  // Activating the waiting worker triggers controllerchange, which reloads
+  if (waitingServiceWorker) waitingServiceWorker.postMessage({ type: "SKIP_WAITING" });
+  else window.location.reload();
+}
+
+function applyDeferredAppUpdate() {
+  if (updateWhenIdle && !appBusy()) applyAppUpdate();
+}
+
+/* ==========================================================================
+   23. STORAGE MANAGER
+   ========================================================================== */
+
+function setupStoragePage() {
+  const persistBtn = document.getElementById("storagePersistButton");
+  if (persistBtn) {
+    persistBtn.addEventListener("click", async () => {
+      if (!navigator.storage || !navigator.storage.persist) return;
+      const granted = await navigator.storage.persist().catch(() => false);
+      if (!granted) alert(t("msg_persist_denied"));
+      renderStorage();
+    });
+  }
+
+  const list = document.getElementById("storageList");
+  list.addEventListener("click", async (e) => {
+    const btn = e.target.closest(".storage-purge");
+    if (!btn) return;
+    if (!confirm(t("msg_confirm_purge_cache", btn.dataset.label))) return;
+    btn.disabled = true;
+    try {
+      await purgeCacheBucket(btn.dataset.cache);
+    } catch (err) {
+      console.error("Cache purge failed:", err);
+    }
+    renderStorage();
+  });
+
+  renderStorage();
+}
+
+/**
+ * Lists each Cache Storage bucket and IndexedDB with their sizes.
+ */
+async function renderStorage() {
+  const list = document.getElementById("storageList");
+  if (!list) return;
+
+  const estimate = navigator.storage && navigator.storage.estimate
+    ? await navigator.storage.estimate().catch(() => null)
+    : null;
+  const persisted = navigator.storage && navigator.storage.persisted
+    ? await navigator.storage.persisted().catch(() => false)
+    : false;
+
+  const usage = document.getElementById("storageUsage");
+  const bar = document.getElementById("storageUsageBar");
+  if (estimate && usage) {
+    usage.textContent = t("lbl_storage_of_quota", formatBytes(estimate.usage), formatBytes(estimate.quota));
+    if (bar) bar.style.width = `${Math.min(100, (estimate.usage / estimate.quota) * 100 || 0).toFixed(1)}%`;
+  }
+  const persistStatus = document.getElementById("storagePersistStatus");
+  if (persistStatus) persistStatus.textContent = t(persisted ? "msg_storage_persisted" : "msg_storage_not_persisted");
+  const persistBtn = document.getElementById("storagePersistButton");
+  if (persistBtn) persistBtn.disabled = persisted || !(navigator.storage && navigator.storage.persist);
+
+  const buckets = [];
+  if ("caches" in window) {
+    for (const name of await caches.keys()) {
+      const { bytes, files } = await cacheBucketSize(name);
+      buckets.push({ name, label: cacheBucketLabel(name), bytes, files, purgeable: true, hint: cacheBucketHint(name) });
+    }
+  }
+  // Only browsers that break usage down (Chromium) report IndexedDB separately
+  const idbBytes = estimate && estimate.usageDetails ? estimate.usageDetails.indexedDB : null;
+  buckets.push({ name: "IndexedDB", label: t("lbl_bucket_indexeddb"), bytes: idbBytes, files: null, purgeable: false });
+  if (navigator.storage && navigator.storage.getDirectory) {
+    const opfs = await opfsUsage();
+    buckets.push({
+      name: "OPFS",
+      label: t("lbl_bucket_opfs"),
+      bytes: opfs ? opfs.bytes : null,
+      files: opfs ? opfs.files : null,
+      purgeable: false
+    });
+  }
+
+  list.innerHTML = buckets.map(b => `
+    <div class="card border-0 shadow-sm">
+      <div class="card-body d-flex justify-content-between align-items-center gap-3">
+        <div class="overflow-hidden">
+          <h6 class="fw-bold mb-1 text-truncate">${b.label}</h6>
+          <div class="small text-muted text-truncate">
+            <code>${b.name}</code>
+            <span class="ms-2">${typeof b.bytes === "number" ? formatBytes(b.bytes) : t("lbl_size_unknown")}</span>
+            ${b.files !== null ? `<span class="ms-2">${t("lbl_file_count", b.files)}</span>` : ""}
+          </div>
+          ${b.hint ? `<div class="small text-muted">${b.hint}</div>` : ""}
+        </div>
+        ${b.purgeable ? `
+          <button type="button" class="btn btn-outline-danger btn-sm flex-shrink-0 storage-purge"
+                  data-cache="${b.name}" data-label="${b.label}">
+            <i class="bi bi-trash me-1"></i>${t("btn_purge")}
+          </button>
+        ` : ""}
+      </div>
+    </div>
+  `).join("");
+}
+
+/**
+ * Sum of the response bodies in a cache. Cross-origin (opaque)
+ * images have no readable size and count as zero.
+ */
+async function cacheBucketSize(name) {
+  const cache = await caches.open(name);
+  const requests = await cache.keys();
+  let bytes = 0;
+  for (const request of requests) {
+    const response = await cache.match(request);
+    if (!response || response.type === "opaque") continue;
+    const length = Number(response.headers.get("content-length"));
+    bytes += length > 0 ? length : (await response.blob()).size;
+  }
+  return { bytes, files: requests.length };
+}
+
+/**
+ * Size of every file in the origin private file system (imported custom
+ * models), or null when it can't be read.
+ */
+async function opfsUsage() {
+  const walk = async (dir) => {
+    const total = { bytes: 0, files: 0 };
+    for await (const handle of dir.values()) {
+      if (handle.kind === "file") {
+        total.bytes += (await handle.getFile()).size;
+        total.files++;
+      } else {
+        const sub = await walk(handle);
+        total.bytes += sub.bytes;
+        total.files += sub.files;
+      }
+    }
+    return total;
+  };
+  try {
+    return await walk(await navigator.storage.getDirectory());
+  } catch (e) {
+    console.warn("OPFS usage unavailable:", e);
+    return null;
+  }
+}
+
+/**
+ * The service worker caps the image cache by entry count, not by size.
+ */
+function cacheBucketHint(name) {
+  return name.startsWith("birdnet-images-") ? t("msg_bucket_images_cap") : null;
+}
+
+function cacheBucketLabel(name) {
+  if (name.startsWith("birdnet-app-")) return t("lbl_bucket_app", name.slice("birdnet-app-".length));
+  if (name.startsWith("birdnet-model-")) return t("lbl_bucket_model", name.slice("birdnet-model-".length));
+  if (name.startsWith("birdnet-images-")) return t("lbl_bucket_images");
+  return name;
+}
+
+/**
+ * Deletes one cache through the service worker's PURGE_CACHES message,
+ * or directly when no service worker controls the page.
+ */
+function purgeCacheBucket(cacheName) {
+  const sw = navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (!sw) return caches.delete(cacheName);
+
+  return new Promise(resolve => {
+    const onMessage = (event) => {
+      if (!event.data || event.data.type !== "PURGE_DONE" || event.data.cacheName !== cacheName) return;
+      navigator.serviceWorker.removeEventListener("message", onMessage);
+      resolve();
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    sw.postMessage({ type: "PURGE_CACHES", cacheName });
+  });
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+/* ==========================================================================
+   24. OFFLINE IMAGE PACK
+   ========================================================================== */
+
+let imagePackRunning = false;
+
+/**
+ * "Download images" on the Explore page: the service worker fetches the
+ * photos of every local species into its image cache (capped by entry count).
+ */
+function setupImagePack() {
+  const btn = document.getElementById("imagePackButton");
+  if (!btn || !("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    const data = event.data || {};
+    if (data.type !== "PREFETCH_PROGRESS" && data.type !== "PREFETCH_DONE") return;
+    const done = data.type === "PREFETCH_DONE";
+    setImagePackStatus(done
+      ? t("msg_image_pack_done", data.done - data.failed, data.total)
+      : t("status_image_pack", data.done, data.total));
+    if (done) {
+      imagePackRunning = false;
+      updateImagePackButton();
+    }
+  });
+
+  btn.addEventListener("click", () => {
+    const sw = navigator.serviceWorker.controller;
+    if (!sw) {
+      setImagePackStatus(t("msg_image_pack_unavailable"));
+      return;
+    }
+    const urls = localSpecies().map(bird => speciesImageUrl(bird.scientificName));
+    if (!urls.length) return;
+    imagePackRunning = true;
+    updateImagePackButton();
+    setImagePackStatus(t("status_image_pack", 0, urls.length));
+    sw.postMessage({ type: "PREFETCH_IMAGES", urls });
+  });
+}
+
+function updateImagePackButton() {
+  const btn = document.getElementById("imagePackButton");
+  if (btn) btn.disabled = imagePackRunning || !geolocation || !geoEnabled || !localSpecies().length;
+}
+
+function setImagePackStatus(text) {
+  const el = document.getElementById("imagePackStatus");
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle("d-none", !text);
+}
+
+/* ==========================================================================
+   25. INPUT DEVICES
+   ========================================================================== */
+
+function setupInputDevices() {
+  const select = document.getElementById("inputDeviceSelect");
+  if (select && navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+    renderInputDevices();
+    select.addEventListener("change", () => {
+      inputDeviceId = select.value;
+      store.set("bn_input_device", inputDeviceId);
+      restartAudioInput();
+    });
+    navigator.mediaDevices.addEventListener("devicechange", renderInputDevices);
+  }
+
+  const splitToggle = document.getElementById("splitChannelsToggle");
+  if (splitToggle) {
+    splitToggle.checked = splitChannels;
+    splitToggle.addEventListener("change", () => {
+      splitChannels = splitToggle.checked;
+      store.set("bn_split_channels", splitChannels);
+      restartAudioInput();
+    });
+  }
+}
+
+/**
+ * Lists the audio inputs. Before microphone access is granted browsers
+ * hide device names (and sometimes ids), so the list is refreshed later.
+ * A remembered device that is not listed stays stored for the next start.
+ */
+async function renderInputDevices() {
+  const select = document.getElementById("inputDeviceSelect");
+  if (!select) return;
+  let devices = [];
+  try {
+    devices = (await navigator.mediaDevices.enumerateDevices())
+      // Chromium adds "default" and "communications" aliases of real devices
+      .filter(d => d.kind === "audioinput" && d.deviceId && !["default", "communications"].includes(d.deviceId));
+  } catch (e) {
+    console.warn("Cannot list input devices:", e);
+  }
+
+  const options = [`<option value="" data-i18n="opt_default_input">${t("opt_default_input")}</option>`];
+  devices.forEach((d, i) => {
+    const option = document.createElement("option");
+    option.value = d.deviceId;
+    option.textContent = d.label || t("lbl_input_device_n", i + 1);
+    options.push(option.outerHTML);
+  });
+  select.innerHTML = options.join("");
+  select.value = devices.some(d => d.deviceId === inputDeviceId) ? inputDeviceId : "";
+}
+
+/**
+ * Display name of an input channel: left/right on stereo inputs.
+ */
+function channelLabel(channel, channels = liveChannels) {
+  if (channels === 2) return t(channel === 0 ? "lbl_channel_left" : "lbl_channel_right");
+  return t("lbl_channel", channel + 1);
+}
+
+/**
+ * Card and clip key of a live result; detections on different channels
+ * are kept apart.
+ */
+function detectionKey(p) {
+  const key = p.scientificName || `idx-${p.index}`;
+  return liveChannels > 1 ? `${key}@${p.channel || 0}` : key;
+}
+
+/* ==========================================================================
+   26. SPECTROGRAM VIEW (PAUSE, SCROLL BACK, ZOOM)
+   ========================================================================== */
+
+function setupSpectrogramView() {
+  const canvas = document.getElementById("liveSpectrogram");
+  if (!canvas) return;
+
+  const pauseButton = document.getElementById("spectroPauseButton");
+  if (pauseButton) {
+    pauseButton.addEventListener("click", () => {
+      if (spectroPaused) {
+        spectroPaused = false;
+      } else {
+        spectroPaused = true;
+        spectroViewEnd = spectroLatestTime;
+      }
+      applySpectroView();
+    });
+  }
+  const resetButton = document.getElementById("spectroZoomResetButton");
+  if (resetButton) resetButton.addEventListener("click", resetSpectroZoom);
+
+  canvas.addEventListener("wheel", onSpectroWheel, { passive: false });
+  canvas.addEventListener("dblclick", () => {
+    spectroPaused = false;
+    resetSpectroZoom();
+  });
+
+  // One pointer drags (pans), two pinch (zoom)
+  const pointers = new Map(); // pointerId -> { x, y } in CSS pixels
+  canvas.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    canvas.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const rect = canvas.getBoundingClientRect();
+    const before = Array.from(pointers.values()).map(p => ({ ...p }));
+    last.x = e.clientX;
+    last.y = e.clientY;
+    const after = Array.from(pointers.values());
+
+    if (after.length === 1) {
+      // Dragging the image right shows older audio, down shows higher frequencies
+      moveSpectroViewEnd(-(after[0].x - before[0].x) / rect.width * spectroVisibleSeconds());
+      if (spectroFreqView) moveSpectroFreq((after[0].y - before[0].y) / rect.height);
+    } else if (after.length === 2) {
+      const spread = (points, axis) => Math.abs(points[0][axis] - points[1][axis]);
+      const mid = (points, axis) => (points[0][axis] + points[1][axis]) / 2;
+      const anchorX = (mid(after, "x") - rect.left) / rect.width;
+      const anchorY = 1 - (mid(after, "y") - rect.top) / rect.height;
+      // Spreads under ~30 px are mostly noise from fingers side by side
+      if (spread(before, "x") > 30 && spread(after, "x") > 30) {
+        scaleSpectroTime(spread(after, "x") / spread(before, "x"), anchorX);
+      }
+      if (spread(before, "y") > 30 && spread(after, "y") > 30) {
+        scaleSpectroFreq(spread(after, "y") / spread(before, "y"), anchorY);
+      }
+    }
+    scheduleSpectroView();
+  });
+  const release = (e) => pointers.delete(e.pointerId);
+  canvas.addEventListener("pointerup", release);
+  canvas.addEventListener("pointercancel", release);
+
+  updateSpectroViewControls();
+}
+
+/**
+ * Wheel zooms time at the pointer, shift+wheel zooms frequency,
+ * horizontal wheel (trackpad swipe) scrolls. Ctrl+wheel is how
+ * trackpad pinches arrive.
+ */
+function onSpectroWheel(e) {
+  e.preventDefault();
+  const rect = spectroCanvas.getBoundingClientRect();
+  // Some mice report lines or pages rather than pixels
+  const unit = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? rect.height : 1);
+  const dx = e.deltaX * unit;
+  const dy = e.deltaY * unit;
+  const rate = e.ctrlKey ? 0.01 : 0.002;
+
+  if (e.shiftKey) {
+    // Some browsers turn shift+wheel into a horizontal delta
+    scaleSpectroFreq(Math.exp(-(dy || dx) * rate), 1 - (e.clientY - rect.top) / rect.height);
+  } else if (Math.abs(dx) > Math.abs(dy)) {
+    moveSpectroViewEnd(dx / rect.width * spectroVisibleSeconds());
+  } else {
+    scaleSpectroTime(Math.exp(-dy * rate), (e.clientX - rect.left) / rect.width);
+  }
+  scheduleSpectroView();
+}
+
+function resetSpectroZoom() {
+  spectroViewDuration = 0;
+  spectroFreqView = null;
+  applySpectroView();
+}
+
+/**
+ * Seconds shown across the spectrogram and the timeline.
+ */
+function spectroVisibleSeconds() {
+  return spectroViewDuration || spectroDurationSec;
+}
+
+/**
+ * Audio time at the right edge: the newest spectrum unless paused.
+ */
+function spectroViewEndTime() {
+  return spectroPaused ? spectroViewEnd : spectroLatestTime;
+}
+
+function spectroFreqRange() {
+  return spectroFreqView || { min: spectroMinFreq, max: spectroMaxFreq };
+}
+
+/**
+ * Sends the current view to the renderer and redraws what depends on it.
+ */
+function applySpectroView() {
+  if (spectroRenderer) {
+    updateSpectroRowBins();
+    spectroRenderer.setView({ end: spectroPaused ? spectroViewEnd : null, duration: spectroVisibleSeconds() });
+    spectroColumnSeconds = spectroVisibleSeconds() / Math.max(1, spectroRenderer.width);
+    lastSpectroColumnTime = spectroLatestTime;
+  }
+  drawSpectrogramAxis();
+  drawDetectionMarkers(true);
+  drawDetectionTimeline();
+  updateSpectroViewControls();
+}
+
+/**
+ * Applies the view once per frame however many pointer events arrive.
+ */
+function scheduleSpectroView() {
+  if (spectroViewFrame) return;
+  spectroViewFrame = requestAnimationFrame(() => {
+    spectroViewFrame = null;
+    applySpectroView();
+  });
+}
+
+/**
+ * Scrolls by seconds (negative = back in time). Scrolling back pauses;
+ * the view stops at the newest and the oldest kept spectrum.
+ */
+function moveSpectroViewEnd(seconds) {
+  if (!spectroPaused) {
+    if (seconds >= 0) return;
+    spectroPaused = true;
+    spectroViewEnd = spectroLatestTime;
+  }
+  spectroViewEnd = clampSpectroViewEnd(spectroViewEnd + seconds, spectroVisibleSeconds());
+}
+
+function clampSpectroViewEnd(end, seconds) {
+  const oldest = spectroHistoryStart === null
+    ? spectroLatestTime
+    : Math.max(spectroHistoryStart, spectroLatestTime - SPECTRO_HISTORY_SEC);
+  return Math.max(Math.min(spectroLatestTime, oldest + seconds), Math.min(spectroLatestTime, end));
+}
+
+/**
+ * Zooms time by factor (> 1 = in). While paused the time under anchor
+ * (0 = left edge, 1 = right edge) stays put; live views keep the right
+ * edge on the newest audio.
+ */
+function scaleSpectroTime(factor, anchor) {
+  const seconds = spectroVisibleSeconds();
+  const next = Math.max(SPECTRO_MIN_VIEW_SEC, Math.min(SPECTRO_HISTORY_SEC, seconds / factor));
+  if (spectroPaused) {
+    const anchorTime = spectroViewEnd - (1 - anchor) * seconds;
+    spectroViewEnd = clampSpectroViewEnd(anchorTime + (1 - anchor) * next, next);
+  }
+  spectroViewDuration = next;
+}
+
+/**
+ * Zooms frequency by factor (> 1 = in) around anchor (0 = bottom edge),
+ * on the active scale and within the set frequency range.
+ */
+function scaleSpectroFreq(factor, anchor) {
+  const range = spectroFreqRange();
+  const lo = freqToScale(range.min);
+  const hi = freqToScale(range.max);
+  const full = freqToScale(spectroMaxFreq) - freqToScale(spectroMinFreq);
+  const span = Math.max(full / SPECTRO_MAX_FREQ_ZOOM, Math.min(full, (hi - lo) / factor));
+  const anchorValue = lo + (hi - lo) * anchor;
+  setSpectroFreqView(anchorValue - anchor * span, span);
+}
+
+/**
+ * Pans the zoomed frequency range by a fraction of its height (> 0 = up).
+ */
+function moveSpectroFreq(fraction) {
+  const range = spectroFreqRange();
+  const lo = freqToScale(range.min);
+  const span = freqToScale(range.max) - lo;
+  setSpectroFreqView(lo + fraction * span, span);
+}
+
+function setSpectroFreqView(lo, span) {
+  const fullLo = freqToScale(spectroMinFreq);
+  const fullHi = freqToScale(spectroMaxFreq);
+  if (span >= fullHi - fullLo - 1e-9) {
+    spectroFreqView = null;
+    return;
+  }
+  lo = Math.max(fullLo, Math.min(fullHi - span, lo));
+  spectroFreqView = { min: scaleToFreq(lo), max: scaleToFreq(lo + span) };
+}
+
+function updateSpectroViewControls() {
+  const pauseButton = document.getElementById("spectroPauseButton");
+  if (pauseButton) {
+    const key = spectroPaused ? "btn_live" : "btn_pause";
+    const label = pauseButton.querySelector("[data-i18n]");
+    if (label && label.getAttribute("data-i18n") !== key) {
+      label.textContent = t(key);
+      label.setAttribute("data-i18n", key);
+      pauseButton.querySelector("i").className = `bi ${spectroPaused ? "bi-play-fill" : "bi-pause-fill"} me-1`;
+    }
+  }
+
+  const resetButton = document.getElementById("spectroZoomResetButton");
+  if (resetButton) resetButton.classList.toggle("d-none", !spectroViewDuration && !spectroFreqView);
+
+  // How far behind the newest audio the paused view ends
+  const offset = document.getElementById("spectroViewOffset");
+  if (offset) {
+    offset.classList.toggle("d-none", !spectroPaused);
+    const text = spectroPaused ? `−${formatTime(Math.max(0, spectroLatestTime - spectroViewEnd))}` : "";
+    if (offset.textContent !== text) offset.textContent = text;
+  }
+}
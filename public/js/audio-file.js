@@ -0,0 +1,649 @@
+/**
+ * BirdNET Live - Audio File Reader
+ * Streams imported recordings as 48 kHz mono blocks without holding the
+ * whole file, decoded or encoded, in memory, so hours of recorder output
+ * can be analyzed.
+ *
+ * WAV is read in slices and converted directly. MP3, FLAC and Ogg
+ * (Opus/Vorbis) are split into packets here and decoded with WebCodecs.
+ * Other formats, or browsers without WebCodecs, fall back to
+ * decodeAudioData on the whole file, up to AUDIO_FILE_DECODE_MAX_BYTES.
+ */
+
+/* ==========================================================================
+   1. CONFIGURATION
+   ========================================================================== */
+
+const AUDIO_FILE_READ_BYTES = 1 << 20;              // Slice read from the file at a time
+const AUDIO_FILE_DECODE_MAX_BYTES = 32 * (1 << 20); // decodeAudioData fallback limit
+const AUDIO_FILE_DECODER_QUEUE = 8;                 // Packets queued in the WebCodecs decoder
+
+/**
+ * Errors carry a code: "file_too_large", "unsupported" or "decode_failed".
+ */
+function audioFileError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/* ==========================================================================
+   2. OPENING AND BLOCKS
+   ========================================================================== */
+
+/**
+ * Picks a reader for the file. Resolves with
+ * { duration, pieces() }: duration in seconds (null if unknown until the
+ * end) and an async generator of { samples, sampleRate, progress }, mono
+ * audio at the file's rate with progress from 0 to 1.
+ */
+async function openAudioFile(file) {
+  const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const tag = (from, to) => String.fromCharCode(...head.subarray(from, to));
+
+  if (tag(0, 4) === "RIFF" && tag(8, 12) === "WAVE") return openWavFile(file);
+
+  if (typeof AudioDecoder === "function") {
+    const demux = tag(0, 4) === "fLaC" ? await openFlacPackets(file)
+      : tag(0, 4) === "OggS" ? await openOggPackets(file)
+      : await openMp3Packets(file);
+    if (demux) {
+      const { supported } = await AudioDecoder.isConfigSupported(demux.config).catch(() => ({}));
+      if (supported) return { duration: null, pieces: () => decodePackets(demux) };
+    }
+  }
+
+  return openDecodedFile(file);
+}
+
+/**
+ * Resamples a source from openAudioFile to targetRate, applies the same
+ * high-pass filter as live listening and yields { samples, progress } in
+ * blocks of blockSamples (the last one shorter).
+ */
+async function* audioFileBlocks(source, { targetRate, highPassFreq, blockSamples }) {
+  const filter = new HighPassFilter(highPassFreq, targetRate);
+  const ready = [];
+  let block = new Float32Array(blockSamples);
+  let filled = 0;
+  const emit = (sample) => {
+    block[filled++] = filter.process(sample);
+    if (filled === blockSamples) {
+      ready.push(block);
+      block = new Float32Array(blockSamples);
+      filled = 0;
+    }
+  };
+
+  let resampler = null;
+  let rate = 0;
+  let progress = 0;
+  for await (const piece of source.pieces()) {
+    if (piece.sampleRate !== rate) {
+      rate = piece.sampleRate;
+      resampler = rate !== targetRate ? new SincResampler(rate, targetRate) : null;
+    }
+    if (resampler) {
+      resampler.process(piece.samples, emit);
+    } else {
+      for (let i = 0; i < piece.samples.length; i++) emit(piece.samples[i]);
+    }
+    progress = piece.progress;
+    while (ready.length) yield { samples: ready.shift(), progress };
+  }
+
+  // The resampler waits for samples after each output, flush them with silence
+  if (resampler) resampler.process(new Float32Array(resampler.halfWidth), emit);
+  while (ready.length) yield { samples: ready.shift(), progress: 1 };
+  if (filled) yield { samples: block.slice(0, filled), progress: 1 };
+}
+
+/**
+ * Second-order high-pass with the coefficients of a Web Audio
+ * BiquadFilterNode (Q in dB, as the spec defines for high-pass).
+ */
+class HighPassFilter {
+  constructor(frequency, sampleRate, q = 0.707) {
+    this.bypass = !(frequency > 0);
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.pow(10, q / 20));
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this.b0 = (1 + cos) / 2 / a0;
+    this.b1 = -(1 + cos) / a0;
+    this.b2 = this.b0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    if (this.bypass) return x;
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+/**
+ * Sequential reader over a File that only keeps the bytes not yet consumed.
+ */
+class FileByteReader {
+  constructor(file, start = 0, end = file.size) {
+    this.file = file;
+    this.end = end;
+    this.base = start; // File position of buf[0]
+    this.buf = new Uint8Array(0);
+    this.offset = 0;   // Read position in buf
+  }
+
+  get position() { return this.base + this.offset; }
+  get available() { return this.buf.length - this.offset; }
+  get progress() { return this.end > 0 ? Math.min(1, this.position / this.end) : 1; }
+
+  /**
+   * Buffers at least n unread bytes. Resolves false if the file ends first.
+   */
+  async ensure(n) {
+    while (this.available < n) {
+      const from = this.base + this.buf.length;
+      if (from >= this.end) return false;
+      const to = Math.min(this.end, from + Math.max(n - this.available, AUDIO_FILE_READ_BYTES));
+      const more = new Uint8Array(await this.file.slice(from, to).arrayBuffer());
+      const merged = new Uint8Array(this.available + more.length);
+      merged.set(this.buf.subarray(this.offset));
+      merged.set(more, this.available);
+      this.base = this.position;
+      this.buf = merged;
+      this.offset = 0;
+    }
+    return true;
+  }
+
+  peek(n) {
+    return this.buf.subarray(this.offset, this.offset + n);
+  }
+
+  take(n) {
+    const bytes = this.buf.slice(this.offset, this.offset + n);
+    this.offset += bytes.length;
+    return bytes;
+  }
+
+  skip(n) {
+    if (n <= this.available) {
+      this.offset += n;
+      return;
+    }
+    this.base = this.position + n;
+    this.buf = new Uint8Array(0);
+    this.offset = 0;
+  }
+}
+
+/* ==========================================================================
+   3. WAV
+   ========================================================================== */
+
+async function openWavFile(file) {
+  const readView = async (offset, length) =>
+    new DataView(await file.slice(offset, offset + length).arrayBuffer());
+
+  // Walk the chunks up to "data" (AudioMoth puts a LIST chunk before it)
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= file.size) {
+    const chunk = await readView(offset, 8);
+    const id = String.fromCharCode(chunk.getUint8(0), chunk.getUint8(1), chunk.getUint8(2), chunk.getUint8(3));
+    const size = chunk.getUint32(4, true);
+
+    if (id === "fmt ") {
+      const view = await readView(offset + 8, Math.min(size, 40));
+      let format = view.getUint16(0, true);
+      if (format === 0xFFFE && size >= 26) format = view.getUint16(24, true); // WAVE_FORMAT_EXTENSIBLE
+      fmt = {
+        format,
+        channels: view.getUint16(2, true),
+        sampleRate: view.getUint32(4, true),
+        blockAlign: view.getUint16(12, true),
+        bits: view.getUint16(14, true)
+      };
+    } else if (id === "data") {
+      if (!fmt) break;
+      const start = offset + 8;
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF
+      const end = size === 0 || size === 0xFFFFFFFF ? file.size : Math.min(file.size, start + size);
+      return wavSource(file, fmt, start, end);
+    }
+    offset += 8 + size + (size & 1);
+  }
+  throw audioFileError("unsupported", "No audio data in WAV file");
+}
+
+function wavSource(file, fmt, start, end) {
+  const readSample = wavSampleReader(fmt);
+  if (!readSample || !fmt.channels || !fmt.blockAlign) {
+    throw audioFileError("unsupported", `WAV format ${fmt.format} with ${fmt.bits} bits is not supported`);
+  }
+  const bytesPerSample = fmt.bits / 8;
+  const sliceBytes = Math.max(1, Math.floor(AUDIO_FILE_READ_BYTES / fmt.blockAlign)) * fmt.blockAlign;
+
+  return {
+    duration: (end - start) / fmt.blockAlign / fmt.sampleRate,
+    pieces: async function* () {
+      for (let pos = start; pos < end; pos += sliceBytes) {
+        const view = new DataView(await file.slice(pos, Math.min(end, pos + sliceBytes)).arrayBuffer());
+        const frames = Math.floor(view.byteLength / fmt.blockAlign);
+        const samples = new Float32Array(frames);
+        for (let f = 0; f < frames; f++) {
+          let sum = 0;
+          for (let c = 0; c < fmt.channels; c++) {
+            sum += readSample(view, f * fmt.blockAlign + c * bytesPerSample);
+          }
+          samples[f] = sum / fmt.channels;
+        }
+        yield { samples, sampleRate: fmt.sampleRate, progress: (pos + view.byteLength - start) / (end - start) };
+      }
+    }
+  };
+}
+
+/**
+ * Reads one sample as -1..1 for integer PCM (8 to 32 bits) and float PCM.
+ */
+function wavSampleReader({ format, bits }) {
+  if (format === 3 && bits === 32) return (view, i) => view.getFloat32(i, true);
+  if (format === 3 && bits === 64) return (view, i) => view.getFloat64(i, true);
+  if (format !== 1) return null;
+  switch (bits) {
+    case 8: return (view, i) => (view.getUint8(i) - 128) / 128;
+    case 16: return (view, i) => view.getInt16(i, true) / 32768;
+    case 24: return (view, i) => ((view.getInt8(i + 2) << 16) | (view.getUint8(i + 1) << 8) | view.getUint8(i)) / 8388608;
+    case 32: return (view, i) => view.getInt32(i, true) / 2147483648;
+    default: return null;
+  }
+}
+
+/* ==========================================================================
+   4. WEBCODECS DECODING
+   ========================================================================== */
+
+/**
+ * Decodes packets ({ config, packets: async iterable of Uint8Array }) with
+ * an AudioDecoder. Only a few packets are queued at a time, so decoded
+ * audio never piles up while the caller is busy with earlier blocks.
+ */
+async function* decodePackets({ config, packets, reader }) {
+  const decoded = [];
+  let failure = null;
+  let notify = null;
+  const decoder = new AudioDecoder({
+    output: (data) => { decoded.push(data); if (notify) notify(); },
+    error: (e) => { failure = e; if (notify) notify(); }
+  });
+  decoder.configure(config);
+
+  const drain = function* () {
+    while (decoded.length) {
+      const data = decoded.shift();
+      yield { samples: audioDataToMono(data), sampleRate: data.sampleRate, progress: reader.progress };
+    }
+  };
+
+  try {
+    let timestamp = 0;
+    for await (const packet of packets) {
+      if (failure) break;
+      decoder.decode(new EncodedAudioChunk({ type: "key", timestamp: timestamp++, data: packet }));
+      yield* drain();
+      while (decoder.decodeQueueSize > AUDIO_FILE_DECODER_QUEUE && !failure) {
+        await new Promise(resolve => {
+          notify = resolve;
+          setTimeout(resolve, 20); // Outputs do not always follow each input
+        });
+        notify = null;
+        yield* drain();
+      }
+    }
+    if (!failure) await decoder.flush().catch(e => { failure = failure || e; });
+    if (failure) throw audioFileError("decode_failed", failure.message || String(failure));
+    yield* drain();
+  } finally {
+    decoded.forEach(data => data.close());
+    if (decoder.state !== "closed") decoder.close();
+  }
+}
+
+function audioDataToMono(data) {
+  const frames = data.numberOfFrames;
+  const mono = new Float32Array(frames);
+  const plane = new Float32Array(frames);
+  for (let c = 0; c < data.numberOfChannels; c++) {
+    data.copyTo(plane, { planeIndex: c, format: "f32-planar" });
+    for (let i = 0; i < frames; i++) mono[i] += plane[i];
+  }
+  if (data.numberOfChannels > 1) {
+    for (let i = 0; i < frames; i++) mono[i] /= data.numberOfChannels;
+  }
+  data.close();
+  return mono;
+}
+
+/* ==========================================================================
+   5. MP3
+   ========================================================================== */
+
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+/**
+ * MPEG audio Layer III frame header, or null.
+ */
+function parseMp3Header(b) {
+  if (b.length < 4 || b[0] !== 0xFF || (b[1] & 0xE0) !== 0xE0) return null;
+  const version = (b[1] >> 3) & 3; // 0: MPEG 2.5, 2: MPEG 2, 3: MPEG 1
+  const layer = (b[1] >> 1) & 3;   // 1: Layer III
+  const bitrateIndex = b[2] >> 4;
+  const rateIndex = (b[2] >> 2) & 3;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const mpeg1 = version === 3;
+  const bitrate = (mpeg1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+  const sampleRate = [44100, 48000, 32000][rateIndex] / (mpeg1 ? 1 : (version === 2 ? 2 : 4));
+  const samples = mpeg1 ? 1152 : 576;
+  return {
+    sampleRate,
+    channels: (b[3] >> 6) === 3 ? 1 : 2,
+    frameBytes: Math.floor(samples / 8 * bitrate / sampleRate) + ((b[2] >> 1) & 1)
+  };
+}
+
+async function skipId3(reader) {
+  if (!(await reader.ensure(10))) return;
+  const h = reader.peek(10);
+  if (h[0] !== 0x49 || h[1] !== 0x44 || h[2] !== 0x33) return; // "ID3"
+  const size = (h[6] << 21) | (h[7] << 14) | (h[8] << 7) | h[9]; // Syncsafe integer
+  reader.skip(10 + size + (h[5] & 0x10 ? 10 : 0));
+}
+
+/**
+ * After a gap, a frame is only accepted when the next one follows where
+ * its header says, so sync-like bytes in tags or cover art are skipped.
+ */
+async function* mp3Frames(reader) {
+  let synced = false;
+  while (await reader.ensure(4)) {
+    const header = parseMp3Header(reader.peek(4));
+    if (!header) {
+      synced = false;
+      reader.skip(1);
+      continue;
+    }
+    if (!(await reader.ensure(header.frameBytes))) return; // Truncated last frame
+    if (!synced && (await reader.ensure(header.frameBytes + 4))) {
+      const next = parseMp3Header(reader.peek(header.frameBytes + 4).subarray(header.frameBytes));
+      if (!next || next.sampleRate !== header.sampleRate) {
+        reader.skip(1);
+        continue;
+      }
+    }
+    synced = true;
+    yield reader.take(header.frameBytes);
+  }
+}
+
+async function openMp3Packets(file) {
+  const reader = new FileByteReader(file);
+  await skipId3(reader);
+
+  // Two frames in a row (after the tag) must appear within the first read
+  const limit = reader.position + AUDIO_FILE_READ_BYTES;
+  let header = null;
+  while (!header && reader.position < limit && (await reader.ensure(4))) {
+    const candidate = parseMp3Header(reader.peek(4));
+    if (candidate && (await reader.ensure(candidate.frameBytes + 4))) {
+      const next = parseMp3Header(reader.peek(candidate.frameBytes + 4).subarray(candidate.frameBytes));
+      if (next && next.sampleRate === candidate.sampleRate) header = candidate;
+    }
+    if (!header) reader.skip(1);
+  }
+  if (!header) return null;
+
+  return {
+    config: { codec: "mp3", sampleRate: header.sampleRate, numberOfChannels: header.channels },
+    packets: mp3Frames(reader),
+    reader
+  };
+}
+
+/* ==========================================================================
+   6. FLAC
+   ========================================================================== */
+
+const CRC8_TABLE = new Uint8Array(256).map((_, i) => {
+  let crc = i;
+  for (let k = 0; k < 8; k++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+  return crc;
+});
+
+const CRC16_TABLE = new Uint16Array(256).map((_, i) => {
+  let crc = i << 8;
+  for (let k = 0; k < 8; k++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+  return crc;
+});
+
+/**
+ * Length of the FLAC frame header starting at b[i] if it is a valid one
+ * (its CRC-8 matches), otherwise 0.
+ */
+function flacHeaderLength(b, i) {
+  if (i + 6 > b.length || b[i] !== 0xFF || (b[i + 1] & 0xFE) !== 0xF8) return 0;
+  const blockCode = b[i + 2] >> 4;
+  const rateCode = b[i + 2] & 15;
+  if (blockCode === 0 || rateCode === 15 || (b[i + 3] >> 4) > 10 || (b[i + 3] & 1)) return 0;
+
+  // Frame or sample number, UTF-8 coded
+  const lead = b[i + 4];
+  const extra = lead < 0x80 ? 0 : lead >= 0xFF ? -1 : lead >= 0xFE ? 6 : lead >= 0xFC ? 5
+    : lead >= 0xF8 ? 4 : lead >= 0xF0 ? 3 : lead >= 0xE0 ? 2 : lead >= 0xC0 ? 1 : -1;
+  if (extra < 0) return 0;
+  let n = i + 5 + extra;
+  if (blockCode === 6) n += 1;
+  else if (blockCode === 7) n += 2;
+  if (rateCode === 12) n += 1;
+  else if (rateCode === 13 || rateCode === 14) n += 2;
+  if (n >= b.length) return 0;
+
+  let crc = 0;
+  for (let k = i; k < n; k++) crc = CRC8_TABLE[crc ^ b[k]];
+  return crc === b[n] ? n + 1 - i : 0;
+}
+
+function flacCrc16(b, from, to) {
+  let crc = 0;
+  for (let k = from; k < to; k++) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ b[k]];
+  return crc;
+}
+
+/**
+ * A frame ends where the next valid header starts and the two bytes
+ * before it are the CRC-16 of the frame.
+ */
+async function* flacFrames(reader) {
+  while (await reader.ensure(6)) {
+    let scan = 2;
+    let found = 0;
+    for (;;) {
+      const b = reader.peek(reader.available);
+      for (; scan + 6 <= b.length; scan++) {
+        if (b[scan] !== 0xFF || !flacHeaderLength(b, scan)) continue;
+        if (flacCrc16(b, 0, scan - 2) === ((b[scan - 2] << 8) | b[scan - 1])) {
+          found = scan;
+          break;
+        }
+      }
+      if (found) break;
+      const buffered = reader.available;
+      await reader.ensure(buffered + AUDIO_FILE_READ_BYTES);
+      if (reader.available === buffered) break; // Last frame
+    }
+    yield reader.take(found || reader.available);
+  }
+}
+
+async function openFlacPackets(file) {
+  const reader = new FileByteReader(file);
+  reader.skip(4); // "fLaC"
+
+  let streamInfo = null;
+  let last = false;
+  while (!last && (await reader.ensure(4))) {
+    const h = reader.take(4);
+    last = (h[0] & 0x80) !== 0;
+    const length = (h[1] << 16) | (h[2] << 8) | h[3];
+    if ((h[0] & 0x7F) === 0 && (await reader.ensure(length))) {
+      streamInfo = reader.take(length);
+    } else {
+      reader.skip(length);
+    }
+  }
+  if (!streamInfo || streamInfo.length < 18) return null;
+
+  // The decoder wants the stream marker and the STREAMINFO block as description
+  const description = new Uint8Array(8 + streamInfo.length);
+  description.set([0x66, 0x4C, 0x61, 0x43, 0x80, 0, 0, streamInfo.length]);
+  description.set(streamInfo, 8);
+
+  return {
+    config: {
+      codec: "flac",
+      sampleRate: (streamInfo[10] << 12) | (streamInfo[11] << 4) | (streamInfo[12] >> 4),
+      numberOfChannels: ((streamInfo[12] >> 1) & 7) + 1,
+      description
+    },
+    packets: flacFrames(reader),
+    reader
+  };
+}
+
+/* ==========================================================================
+   7. OGG (OPUS, VORBIS)
+   ========================================================================== */
+
+/**
+ * Packets of the first logical stream in the file.
+ */
+async function* oggPackets(reader) {
+  let serial = null;
+  let partial = [];
+  while (await reader.ensure(27)) {
+    const h = reader.peek(27);
+    if (h[0] !== 0x4F || h[1] !== 0x67 || h[2] !== 0x67 || h[3] !== 0x53) { // "OggS"
+      reader.skip(1);
+      continue;
+    }
+    const segments = h[26];
+    const continued = (h[5] & 1) !== 0;
+    const pageSerial = new DataView(h.buffer, h.byteOffset + 14, 4).getUint32(0, true);
+    if (!(await reader.ensure(27 + segments))) return;
+    const table = reader.peek(27 + segments).slice(27);
+    const bodyLength = table.reduce((sum, lace) => sum + lace, 0);
+    if (!(await reader.ensure(27 + segments + bodyLength))) return;
+    reader.skip(27 + segments);
+    const body = reader.take(bodyLength);
+
+    if (serial === null) serial = pageSerial;
+    if (pageSerial !== serial) continue;
+    if (!continued) partial = [];
+
+    let offset = 0;
+    for (const lace of table) {
+      partial.push(body.subarray(offset, offset + lace));
+      offset += lace;
+      if (lace < 255) {
+        yield concatBytes(partial);
+        partial = [];
+      }
+    }
+  }
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => { out.set(p, offset); offset += p.length; });
+  return out;
+}
+
+async function openOggPackets(file) {
+  const reader = new FileByteReader(file);
+  const packets = oggPackets(reader);
+  const next = async () => (await packets.next()).value;
+  const text = (b, from, to) => String.fromCharCode(...b.subarray(from, to));
+
+  const first = await next();
+  if (!first) return null;
+
+  if (text(first, 0, 8) === "OpusHead") {
+    await next(); // OpusTags
+    return {
+      config: { codec: "opus", sampleRate: 48000, numberOfChannels: first[9], description: first },
+      packets,
+      reader
+    };
+  }
+
+  if (first[0] === 1 && text(first, 1, 7) === "vorbis") {
+    const comment = await next();
+    const setup = await next();
+    if (!comment || !setup) return null;
+    // Xiph lacing: packet count - 1, the lengths of all but the last, then the packets
+    const lacing = (length) => [...new Array(Math.floor(length / 255)).fill(255), length % 255];
+    const description = concatBytes([
+      Uint8Array.from([2, ...lacing(first.length), ...lacing(comment.length)]),
+      first, comment, setup
+    ]);
+    const view = new DataView(first.buffer, first.byteOffset, first.length);
+    return {
+      config: { codec: "vorbis", sampleRate: view.getUint32(12, true), numberOfChannels: first[11], description },
+      packets,
+      reader
+    };
+  }
+
+  return null;
+}
+
+/* ==========================================================================
+   8. FALLBACK (WHOLE-FILE DECODE)
+   ========================================================================== */
+
+/**
+ * decodeAudioData needs the whole file and returns it decoded, so it is
+ * only used up to a size that fits in memory.
+ */
+async function openDecodedFile(file) {
+  if (file.size > AUDIO_FILE_DECODE_MAX_BYTES) {
+    throw audioFileError("file_too_large", `Files over ${AUDIO_FILE_DECODE_MAX_BYTES} bytes need WAV or WebCodecs`);
+  }
+  const context = new OfflineAudioContext(1, 1, 48000);
+  let decoded = await context.decodeAudioData(await file.arrayBuffer());
+  const pieceFrames = AUDIO_FILE_READ_BYTES / 4;
+
+  return {
+    duration: decoded.duration,
+    pieces: async function* () {
+      for (let pos = 0; pos < decoded.length; pos += pieceFrames) {
+        const end = Math.min(decoded.length, pos + pieceFrames);
+        const samples = new Float32Array(end - pos);
+        for (let c = 0; c < decoded.numberOfChannels; c++) {
+          const channel = decoded.getChannelData(c);
+          for (let i = pos; i < end; i++) samples[i - pos] += channel[i] / decoded.numberOfChannels;
+        }
+        yield { samples, sampleRate: decoded.sampleRate, progress: end / decoded.length };
+      }
+      decoded = null;
+    }
+  };
+}
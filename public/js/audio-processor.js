@@ -1,40 +1,111 @@
 /**
  * BirdNET Live - Audio Processor Worklet
  * Replaces the deprecated ScriptProcessorNode.
- * Buffers audio frames and sends them to the main thread via MessagePort.
+ * Streams audio into the inference worker's ring buffers (see audio-ring.js),
+ * one per analyzed channel, and only reports sample counts to the main thread.
+ *
+ * The model expects 48 kHz. When the context runs at another rate (the
+ * browser or the USB interface ignored the requested rate), samples are
+ * resampled here with a windowed-sinc filter (resampler.js) before they
+ * reach the ring.
  */
 
 class AudioProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
-        // Use a buffer size similar to what we had (2048) to avoid flooding the main thread
+        const processorOptions = options.processorOptions || {};
+        this.channels = processorOptions.channels || 1;
+
+        // Blocks posted to the worker when no shared ring is available
         this.bufferSize = 2048;
-        this._buffer = new Float32Array(this.bufferSize);
+        this._buffers = this._newBuffers();
         this._index = 0;
+
+        // Sample counts for the main thread (~0.25 s at 48 kHz)
+        this.progressSize = 12288;
+        this._pending = 0;
+
+        this._rings = null;     // Shared AudioRing per channel
+        this._audioPort = null; // MessagePort to the worker otherwise
+
+        // `sampleRate` is the real context rate, whatever the page asked for
+        const targetRate = processorOptions.targetRate || sampleRate;
+        this._resamplers = sampleRate !== targetRate
+            ? Array.from({ length: this.channels }, () => new SincResampler(sampleRate, targetRate))
+            : null;
+        this._resampled = Array.from({ length: this.channels }, () => new Float32Array(256));
+
+        // { type: "connect", rings?, capacity?, port? } from the main thread
+        this.port.onmessage = (event) => {
+            const { type, rings, capacity, port } = event.data || {};
+            if (type !== "connect") return;
+            this._rings = rings ? rings.map(ring => new AudioRing(capacity, ring)) : null;
+            this._audioPort = port || null;
+            this._index = 0;
+        };
     }
 
     process(inputs, outputs, parameters) {
         // inputs[0] is the first input, which can have multiple channels
         const input = inputs[0];
 
-        // We expect mono input usually, but we'll take channel 0
         if (input && input.length > 0) {
-            const channelData = input[0];
+            // One stream per analyzed channel; a missing channel repeats the last one
+            const blocks = [];
+            for (let c = 0; c < this.channels; c++) {
+                const channelData = input[Math.min(c, input.length - 1)];
+                blocks.push(this._resamplers ? this._resample(c, channelData) : channelData);
+            }
+            const length = blocks[0].length;
 
-            // Append to our internal buffer
-            for (let i = 0; i < channelData.length; i++) {
-                this._buffer[this._index++] = channelData[i];
+            if (this._rings) {
+                blocks.forEach((block, c) => this._rings[c].write(block));
+            } else if (this._audioPort) {
+                for (let i = 0; i < length; i++) {
+                    for (let c = 0; c < this.channels; c++) {
+                        this._buffers[c][this._index] = blocks[c][i];
+                    }
+                    this._index++;
 
-                // When buffer is full, flush to main thread
-                if (this._index >= this.bufferSize) {
-                    this.port.postMessage(this._buffer);
-                    this._index = 0;
+                    // When buffers are full, hand them over to the worker
+                    if (this._index >= this.bufferSize) {
+                        this._audioPort.postMessage(this._buffers, this._buffers.map(b => b.buffer));
+                        this._buffers = this._newBuffers();
+                        this._index = 0;
+                    }
                 }
             }
+
+            this._pending += length;
+            if (this._pending >= this.progressSize) {
+                this.port.postMessage({ type: "progress", samples: this._pending });
+                this._pending = 0;
+            }
         }
 
         return true; // Keep the processor alive
     }
+
+    _newBuffers() {
+        return Array.from({ length: this.channels }, () => new Float32Array(this.bufferSize));
+    }
+
+    /**
+     * Resamples one render quantum of channel c. The output length varies
+     * from block to block; the scratch buffer only grows.
+     */
+    _resample(c, block) {
+        let length = 0;
+        this._resamplers[c].process(block, (sample) => {
+            if (length === this._resampled[c].length) {
+                const grown = new Float32Array(length * 2);
+                grown.set(this._resampled[c]);
+                this._resampled[c] = grown;
+            }
+            this._resampled[c][length++] = sample;
+        });
+        return this._resampled[c].subarray(0, length);
+    }
 }
 
 registerProcessor('audio-processor', AudioProcessor);
@@ -0,0 +1,78 @@
+/**
+ * BirdNET Live - Audio Ring Buffer
+ * Single-writer, single-reader ring of mono samples between the audio
+ * worklet (writer) and the inference worker (reader), so live audio never
+ * passes through the UI thread.
+ *
+ * With cross-origin isolation both sides share one SharedArrayBuffer.
+ * Otherwise the worklet posts its blocks over a MessagePort and the worker
+ * writes them into its own (unshared) ring.
+ *
+ * Loaded as a classic script in the worker and as a module in the worklet,
+ * so it only defines a global.
+ */
+
+class AudioRing {
+  // Header: total samples written (wraps at 2^32)
+  static HEADER_BYTES = 8;
+
+  static byteLength(capacity) {
+    return AudioRing.HEADER_BYTES + capacity * Float32Array.BYTES_PER_ELEMENT;
+  }
+
+  static isSharedAvailable() {
+    return typeof SharedArrayBuffer === "function" && globalThis.crossOriginIsolated === true;
+  }
+
+  /**
+   * capacity: a power of two, so positions stay valid when the 32-bit
+   * counter wraps. buffer: a SharedArrayBuffer from byteLength(capacity),
+   * or omitted for a ring private to this thread.
+   */
+  constructor(capacity, buffer) {
+    if (capacity & (capacity - 1)) throw new Error("AudioRing capacity must be a power of two");
+    this.capacity = capacity;
+    this.buffer = buffer || new ArrayBuffer(AudioRing.byteLength(capacity));
+    this.header = new Uint32Array(this.buffer, 0, 2);
+    this.data = new Float32Array(this.buffer, AudioRing.HEADER_BYTES, capacity);
+    this.shared = typeof SharedArrayBuffer === "function" && this.buffer instanceof SharedArrayBuffer;
+  }
+
+  get written() {
+    return this.shared ? Atomics.load(this.header, 0) : this.header[0];
+  }
+
+  write(samples) {
+    let pos = this.written % this.capacity;
+    let offset = 0;
+    while (offset < samples.length) {
+      const n = Math.min(samples.length - offset, this.capacity - pos);
+      this.data.set(samples.subarray(offset, offset + n), pos);
+      offset += n;
+      pos = (pos + n) % this.capacity;
+    }
+    // Publish after the samples are in place
+    const total = (this.written + samples.length) >>> 0;
+    if (this.shared) Atomics.store(this.header, 0, total);
+    else this.header[0] = total;
+  }
+
+  /**
+   * Copies the most recent out.length samples into out (oldest first).
+   * Returns the written count they end at.
+   */
+  readLatest(out) {
+    const total = this.written;
+    let pos = ((total - out.length) % this.capacity + this.capacity) % this.capacity;
+    let offset = 0;
+    while (offset < out.length) {
+      const n = Math.min(out.length - offset, this.capacity - pos);
+      out.set(this.data.subarray(pos, pos + n), offset);
+      offset += n;
+      pos = 0;
+    }
+    return total;
+  }
+}
+
+globalThis.AudioRing = AudioRing;
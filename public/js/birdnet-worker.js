@@ -13,35 +13,67 @@
 const params = new URL(self.location.href).searchParams;
 const TF_PATH = params.get('tf') || 'js/tfjs-4.14.0.min.js';
 importScripts(TF_PATH);
+importScripts('audio-ring.js');
+
+// Optional WASM backend (loaded lazily if WebGL is unavailable)
+const WASM_DIR = params.get('wasm') || 'js/tfjs-backend-wasm/';
+
+// Backend preference order, first one that initializes wins
+const BACKENDS = ['webgl', 'wasm', 'cpu'];
 
 // Paths
 const ROOT = params.get('root') || 'models';
-const BIRD_BASE = ROOT + '/birdnet';
-const MODEL_PATH = BIRD_BASE + '/model.json';
-const AREA_MODEL_PATH = BIRD_BASE + '/area-model/model.json';
-const LABELS_DIR = BIRD_BASE + '/labels';
+const MANIFEST_PATH = ROOT + '/manifest.json';
+const MODEL_ID = params.get('model'); // Manifest entry, default entry if empty
+
+// User-supplied model, stored by the app in the Origin Private File System
+const CUSTOM_MODEL_ID = 'custom';
+const CUSTOM_MODEL_DIR = 'custom-model';
+const CUSTOM_MODEL_INFO = 'info.json';
 
 // Audio Constants
 const SAMPLE_RATE = 48000;
 const WINDOW_SAMPLES = 144000; // 3 seconds at 48kHz
 
+// Custom classifier (trained on-device on top of the BirdNET embeddings)
+const EMBEDDING_LAYER = 'GLOBAL_AVG_POOL';
+const CUSTOM_HEAD_PREFIX = 'indexeddb://birdnet-custom-head';
+const EMBED_BATCH_SIZE = 8;
+
+// Live windows kept for detection clips (see 'get_window')
+const RECENT_WINDOWS = 8;
+
 /* ==========================================================================
    2. GLOBAL STATE
    ========================================================================== */
 
 // Models
+let modelInfo = null; // Active manifest entry
+let modelPaths = {};  // { model, areaModel, labels } resolved from modelInfo
+let customLabelsFile = null; // Labels of a user-supplied model (single language)
 let birdModel = null;
 let areaModel = null;
+let featureModel = null; // birdModel with the embedding layer as a second output
+let customHead = null;   // Trained classification head on the embeddings
 
 // Data
 let birds = []; // Array of { scientificName, commonName, geoscore, ... }
+let customClasses = []; // Same shape as birds, indexed after them
 
 // Inference Cache (for re-applying geo priors without re-running inference)
-let lastPredictionList = null;
-let lastMeans = null;
-let lastHopSamples = null;
-let lastNumFrames = 0;
-let lastWindowSize = WINDOW_SAMPLES;
+// Per input channel: { predictionList, hopSamples, windowSize, segmentOptions, windowId, means }
+let liveResults = [];
+
+// Live audio, written by the audio worklet (see 'attach_audio')
+let liveRings = [];      // One AudioRing per analyzed input channel
+let liveAudioPort = null;
+let lastLiveWritten = null; // Ring position of the last analyzed window (channel 0)
+const recentWindows = new Map(); // windowId -> Float32Array per channel
+
+// Requests (run one at a time, in arrival order)
+let initError = null;
+const requestQueue = [];
+let processingQueue = false;
 
 /* ==========================================================================
    3. CUSTOM LAYERS & KERNELS
@@ -193,21 +225,124 @@ tf.registerKernel({
   }
 });
 
+/**
+ * STFT on plain arrays, used by the CPU and WASM kernels.
+ * Mirrors the WebGL kernel: periodic Hann window per frame, output is the
+ * real part of the RFFT with shape [numFrames, frameLength / 2 + 1].
+ */
+function stftReal(signal, frameLength, frameStep) {
+  const numFrames = (signal.length - frameLength + frameStep) / frameStep | 0;
+  const numBins = frameLength / 2 + 1;
+  const { hann, cos, sin, rev } = getStftTables(frameLength);
+  const out = new Float32Array(numFrames * numBins);
+  const re = new Float64Array(frameLength);
+  const im = new Float64Array(frameLength);
+
+  for (let f = 0; f < numFrames; f++) {
+    // Windowing & Bit-Reversal
+    const offset = f * frameStep;
+    for (let i = 0; i < frameLength; i++) {
+      re[rev[i]] = signal[offset + i] * hann[i];
+    }
+    im.fill(0);
+
+    // Radix-2 FFT Butterflies
+    for (let size = 2; size <= frameLength; size *= 2) {
+      const half = size / 2;
+      const step = frameLength / size;
+      for (let start = 0; start < frameLength; start += size) {
+        for (let k = 0; k < half; k++) {
+          const c = cos[k * step];
+          const s = sin[k * step];
+          const even = start + k;
+          const odd = even + half;
+          const tRe = c * re[odd] + s * im[odd];
+          const tIm = c * im[odd] - s * re[odd];
+          re[odd] = re[even] - tRe;
+          im[odd] = im[even] - tIm;
+          re[even] += tRe;
+          im[even] += tIm;
+        }
+      }
+    }
+
+    out.set(re.subarray(0, numBins), f * numBins);
+  }
+  return { values: out, shape: [numFrames, numBins] };
+}
+
+const stftTables = new Map();
+
+function getStftTables(frameLength) {
+  if (stftTables.has(frameLength)) return stftTables.get(frameLength);
+  const bits = Math.log2(frameLength);
+  const hann = new Float64Array(frameLength);
+  const cos = new Float64Array(frameLength / 2);
+  const sin = new Float64Array(frameLength / 2);
+  const rev = new Uint32Array(frameLength);
+  for (let i = 0; i < frameLength; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos(2.0 * Math.PI * i / frameLength);
+    let r = 0;
+    for (let b = 0; b < bits; b++) {
+      if (i & (1 << b)) r |= 1 << (bits - 1 - b);
+    }
+    rev[i] = r;
+  }
+  for (let i = 0; i < frameLength / 2; i++) {
+    cos[i] = Math.cos(2.0 * Math.PI * i / frameLength);
+    sin[i] = Math.sin(2.0 * Math.PI * i / frameLength);
+  }
+  const tables = { hann, cos, sin, rev };
+  stftTables.set(frameLength, tables);
+  return tables;
+}
+
+// Register STFT Kernel (CPU implementation, no GPU required)
+tf.registerKernel({
+  kernelName: 'STFT',
+  backendName: 'cpu',
+  kernelFunc: ({ backend, inputs: { signal, frameLength, frameStep } }) => {
+    const { values, shape } = stftReal(backend.readSync(signal.dataId), frameLength, frameStep);
+    return backend.makeTensorInfo(shape, 'float32', values);
+  }
+});
+
+// Register STFT Kernel (WASM implementation, same math as CPU)
+tf.registerKernel({
+  kernelName: 'STFT',
+  backendName: 'wasm',
+  kernelFunc: ({ backend, inputs: { signal, frameLength, frameStep } }) => {
+    const { values, shape } = stftReal(backend.readSync(signal.dataId), frameLength, frameStep);
+    return backend.makeOutput(shape, 'float32', undefined, values);
+  }
+});
+
 /* ==========================================================================
    4. INITIALIZATION
    ========================================================================== */
 
-// Start initialization immediately
-init();
+// Start initialization immediately, requests wait for it
+const initialized = init().catch(e => {
+  console.error("Worker initialization failed", e);
+  initError = e;
+  postMessage({ message: 'model_error', error: e.message || String(e) });
+});
 
 async function init() {
-  await tf.setBackend('webgl');
+  modelInfo = MODEL_ID === CUSTOM_MODEL_ID
+    ? await loadCustomModelInfo()
+    : await loadModelInfo(MODEL_ID);
+  postMessage({ message: 'model_info', model: modelInfo });
+
+  const backend = await selectBackend();
+  postMessage({ message: 'backend', backend });
   tf.serialization.registerClass(MelSpecLayerSimple);
 
   // 1. Load Main Model
-  birdModel = await tf.loadLayersModel(MODEL_PATH, {
+  birdModel = await tf.loadLayersModel(modelPaths.model, {
     onProgress: p => postMessage({ message: 'load_model', progress: (p * 70) | 0 })
   });
+  checkModelInput();
 
   // 2. Warmup (avoids lag on first inference)
   postMessage({ message: 'warmup', progress: 70 });
@@ -217,25 +352,146 @@ async function init() {
 
   // 3. Load Geo Model (Optional)
   postMessage({ message: 'load_geomodel', progress: 90 });
-  try {
-    areaModel = await tf.loadGraphModel(AREA_MODEL_PATH);
-  } catch (e) {
-    console.warn("Geo model failed to load", e);
+  if (modelPaths.areaModel) {
+    try {
+      areaModel = await tf.loadGraphModel(modelPaths.areaModel);
+    } catch (e) {
+      console.warn("Geo model failed to load", e);
+    }
   }
 
   // 4. Load Labels
   postMessage({ message: 'load_labels', progress: 95 });
   await loadLabels();
+  checkModelLabels();
+
+  // 5. Custom Classifier (Optional)
+  buildFeatureModel();
+  await loadCustomHead();
 
   postMessage({ message: 'loaded' });
 }
 
+/**
+ * Looks up a model in the manifest (falling back to the default entry)
+ * and resolves its file paths. The audio pipeline is fixed at 48 kHz and
+ * 3 s windows, so entries with other inputs are rejected.
+ */
+async function loadModelInfo(id) {
+  const manifest = await fetch(MANIFEST_PATH).then(r => {
+    if (!r.ok) throw new Error(`Model manifest not found (${r.status})`);
+    return r.json();
+  });
+  const models = manifest.models || [];
+  const entry = models.find(m => m.id === id) || models.find(m => m.id === manifest.default) || models[0];
+  if (!entry) throw new Error('Model manifest lists no models');
+
+  const windowSamples = Math.round(entry.sampleRate * entry.windowSeconds);
+  if (entry.sampleRate !== SAMPLE_RATE || windowSamples !== WINDOW_SAMPLES) {
+    throw new Error(`Model ${entry.id} expects ${entry.windowSeconds} s at ${entry.sampleRate} Hz, ` +
+      `this app records ${WINDOW_SAMPLES / SAMPLE_RATE} s at ${SAMPLE_RATE} Hz`);
+  }
+
+  const base = `${ROOT}/${entry.path}`;
+  modelPaths = {
+    model: `${base}/${entry.model}`,
+    areaModel: entry.areaModel ? `${base}/${entry.areaModel}` : null,
+    labels: `${base}/${entry.labels}`
+  };
+  return entry;
+}
+
+/**
+ * Builds a manifest-like entry for the model stored in OPFS. Weights are
+ * read as Files, so nothing is fetched over the network.
+ */
+async function loadCustomModelInfo() {
+  let dir, info;
+  try {
+    const root = await navigator.storage.getDirectory();
+    dir = await root.getDirectoryHandle(CUSTOM_MODEL_DIR);
+    info = JSON.parse(await (await (await dir.getFileHandle(CUSTOM_MODEL_INFO)).getFile()).text());
+  } catch (e) {
+    throw new Error('No custom model stored on this device');
+  }
+
+  const getFile = async name => (await dir.getFileHandle(name)).getFile();
+  const modelFile = await getFile(info.modelFile);
+  const weightFiles = await Promise.all(info.weightFiles.map(getFile));
+  customLabelsFile = await getFile(info.labelsFile);
+
+  modelPaths = {
+    model: tf.io.browserFiles([modelFile, ...weightFiles]),
+    areaModel: null, // No range data for custom models
+    labels: null
+  };
+  return {
+    id: CUSTOM_MODEL_ID,
+    name: info.name,
+    version: 'custom',
+    sampleRate: SAMPLE_RATE,
+    windowSeconds: WINDOW_SAMPLES / SAMPLE_RATE,
+    licence: null,
+    labelLanguages: ['en_us'],
+    custom: true
+  };
+}
+
+/**
+ * The model has to take exactly one window of raw audio per example.
+ */
+function checkModelInput() {
+  const shape = birdModel.inputs[0].shape;
+  if (shape.length !== 2 || shape[1] !== WINDOW_SAMPLES) {
+    const got = shape.slice(1).map(d => d ?? '?').join(' x ');
+    throw new Error(`Model input is [${got}], expected [${WINDOW_SAMPLES}] ` +
+      `(${WINDOW_SAMPLES / SAMPLE_RATE} s of mono audio at ${SAMPLE_RATE} Hz)`);
+  }
+}
+
+function checkModelLabels() {
+  const numClasses = birdModel.outputs[0].shape[1];
+  if (numClasses !== birds.length) {
+    throw new Error(`Model has ${numClasses} classes but the labels file lists ${birds.length}`);
+  }
+}
+
+/**
+ * Picks the first working backend from BACKENDS.
+ * Some blocklisted WebGL contexts initialize fine but fail on first use,
+ * so each candidate has to survive a small smoke test.
+ */
+async function selectBackend() {
+  for (const name of BACKENDS) {
+    try {
+      if (name === 'wasm' && !loadWasmBackend()) continue;
+      if (!tf.findBackendFactory(name)) continue;
+      if (!(await tf.setBackend(name))) continue;
+      await tf.ready();
+      tf.tidy(() => tf.add(tf.scalar(1), tf.scalar(1)).dataSync());
+      return name;
+    } catch (e) {
+      console.warn(`Backend ${name} unavailable`, e);
+    }
+  }
+  throw new Error('No TensorFlow.js backend available');
+}
+
+function loadWasmBackend() {
+  if (tf.findBackendFactory('wasm')) return true;
+  try {
+    importScripts(WASM_DIR + 'tf-backend-wasm.min.js');
+    tf.wasm.setWasmPaths(WASM_DIR);
+    return true;
+  } catch (e) {
+    console.warn("WASM backend failed to load", e);
+    return false;
+  }
+}
+
 async function loadLabels(langOverride) {
   const navigatorLang = params.get('lang');
-  const supportedLanguages = [
-    'af', 'da', 'en_us', 'fr', 'ja', 'no', 'ro', 'sl', 'tr', 'ar', 'de', 'es', 'hu',
-    'ko', 'pl', 'ru', 'sv', 'uk', 'cs', 'en_uk', 'fi', 'it', 'nl', 'pt', 'sk', 'th', 'zh'
-  ];
+  const supportedLanguages = modelInfo.labelLanguages || ['en_us'];
   
   // Determine language
   const lang = (() => {
@@ -248,10 +504,10 @@ async function loadLabels(langOverride) {
   })();
 
   // Fetch default (English) and localized lists
-  const birdsList = (await fetch(LABELS_DIR + '/en_us.txt').then(r => r.text())).split('\n');
+  const birdsList = splitLabels(await readLabels('en_us'));
   let birdsListI18n;
   try {
-    birdsListI18n = (await fetch(`${LABELS_DIR}/${lang}.txt`).then(r => r.text())).split('\n');
+    birdsListI18n = splitLabels(await readLabels(lang));
   } catch {
     birdsListI18n = birdsList;
   }
@@ -279,43 +535,197 @@ async function loadLabels(langOverride) {
   birds = newBirds;
 }
 
+/**
+ * Label file text for a language. User-supplied models have one file.
+ */
+function readLabels(lang) {
+  if (customLabelsFile) return customLabelsFile.text();
+  return fetch(`${modelPaths.labels}/${lang}.txt`).then(r => r.text());
+}
+
+function splitLabels(text) {
+  return text.replace(/\s+$/, '').split(/\r?\n/);
+}
+
 /* ==========================================================================
    5. MESSAGE HANDLING
    ========================================================================== */
 
-onmessage = async ({ data }) => {
-  switch (data.message) {
-    case 'predict':
-      await handlePredict(data);
-      break;
-    case 'area-scores':
-      await handleAreaScores(data);
-      break;
-    case 'load_labels':
-      await loadLabels(data.lang);
-      postMessage({ message: 'labels_loaded', lang: data.lang });
-      break;
-    case 'get_species_list':
-      postMessage({ 
-        message: 'species_list', 
-        list: birds.map((b, i) => ({
-          index: i,
-          scientificName: b.scientificName,
-          commonName: b.commonName,
-          commonNameI18n: b.commonNameI18n,
-          geoscore: b.geoscore
-        }))
-      });
-      break;
+/*
+ * Protocol: the app sends { message, requestId?, ...payload }. A request
+ * with an id gets exactly one reply, either
+ *   { message: 'response', requestId, result } or
+ *   { message: 'error', requestId, error: { code, message } }.
+ * Failures of requests without an id are reported with requestId null.
+ * { message: 'cancel', requestId } drops a request that is still queued.
+ * { message: 'attach_audio' | 'detach_audio' } connect the live ring buffers.
+ * These control messages are handled immediately.
+ * Progress and live results are posted as separate events.
+ */
+const HANDLERS = {
+  'predict': handlePredict,
+  'area-scores': handleAreaScores,
+  'load_labels': handleLoadLabels,
+  'embed': handleEmbed,
+  'train_custom': handleTrainCustom,
+  'clear_custom': handleClearCustom,
+  'get_species_list': handleSpeciesList,
+  'get_window': handleGetWindow
+};
+
+onmessage = ({ data }) => {
+  if (data.message === 'cancel') {
+    cancelRequest(data.requestId);
+    return;
+  }
+  if (data.message === 'attach_audio') {
+    attachLiveAudio(data);
+    return;
   }
+  if (data.message === 'detach_audio') {
+    detachLiveAudio();
+    return;
+  }
+  requestQueue.push(data);
+  processQueue();
 };
 
+async function processQueue() {
+  if (processingQueue) return;
+  processingQueue = true;
+  await initialized;
+  while (requestQueue.length) {
+    await runRequest(requestQueue.shift());
+  }
+  processingQueue = false;
+}
+
+async function runRequest(request) {
+  const { message, requestId = null } = request;
+  try {
+    const handler = HANDLERS[message];
+    if (!handler) throw workerError('unknown_message', `Unknown message: ${message}`);
+    if (initError) throw workerError('not_ready', `Model not loaded: ${initError.message}`);
+    const result = await handler(request);
+    if (requestId !== null) {
+      postMessage({ message: 'response', requestId, result }, transferList(result));
+    }
+  } catch (e) {
+    console.error(`Request "${message}" failed`, e);
+    replyError(requestId, e.code || 'failed', e.message || String(e), message);
+  }
+}
+
+function cancelRequest(requestId) {
+  const i = requestQueue.findIndex(r => r.requestId === requestId);
+  if (i < 0) return; // Already running or answered
+  const [request] = requestQueue.splice(i, 1);
+  replyError(requestId, 'cancelled', 'Request cancelled', request.message);
+}
+
+function replyError(requestId, code, message, request) {
+  postMessage({ message: 'error', requestId, request, error: { code, message } });
+}
+
+function workerError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Typed arrays in a result are moved, not copied
+function transferList(result) {
+  if (!result || typeof result !== 'object') return [];
+  return Object.values(result).filter(v => ArrayBuffer.isView(v)).map(v => v.buffer);
+}
+
+/**
+ * Shared rings: { rings: SharedArrayBuffer[], capacity }, one per channel.
+ * Otherwise { port, channels, capacity } and the worklet's blocks (one
+ * Float32Array per channel) arrive on port.
+ */
+function attachLiveAudio({ rings, port, channels, capacity }) {
+  detachLiveAudio();
+  if (port) {
+    liveRings = Array.from({ length: channels || 1 }, () => new AudioRing(capacity));
+    liveAudioPort = port;
+    liveAudioPort.onmessage = ({ data }) => {
+      data.forEach((block, c) => { if (liveRings[c]) liveRings[c].write(block); });
+    };
+  } else {
+    liveRings = rings.map(ring => new AudioRing(capacity, ring));
+  }
+}
+
+function detachLiveAudio() {
+  if (liveAudioPort) liveAudioPort.close();
+  liveAudioPort = null;
+  liveRings = [];
+  lastLiveWritten = null;
+  recentWindows.clear();
+  liveResults = [];
+}
+
+/**
+ * Latest window of every channel, clamped like the model expects. Kept
+ * for a while under windowId so the app can fetch them as detection clips.
+ * The worklet writes all channels together, so channel 0 tells whether
+ * new audio arrived.
+ */
+function readLiveWindows(windowId) {
+  if (!liveRings.length) throw workerError('no_audio', 'No live audio attached');
+  if (liveRings[0].written === lastLiveWritten) throw workerError('no_audio', 'No new audio since the last window');
+
+  const windows = liveRings.map((ring, c) => {
+    const pcm = new Float32Array(WINDOW_SAMPLES);
+    const written = ring.readLatest(pcm);
+    if (c === 0) lastLiveWritten = written;
+    for (let i = 0; i < pcm.length; i++) {
+      pcm[i] = Math.max(-1, Math.min(1, pcm[i]));
+    }
+    return pcm;
+  });
+
+  recentWindows.set(windowId, windows);
+  if (recentWindows.size > RECENT_WINDOWS) {
+    recentWindows.delete(recentWindows.keys().next().value);
+  }
+  return windows;
+}
+
+function handleGetWindow({ windowId, channel = 0 }) {
+  const windows = recentWindows.get(windowId);
+  const pcm = windows && windows[channel];
+  return { pcm: pcm ? pcm.slice() : null };
+}
+
+async function handleLoadLabels(data) {
+  await loadLabels(data.lang);
+  return { lang: data.lang };
+}
+
+function handleSpeciesList() {
+  return {
+    list: birds.map((b, i) => ({
+      index: i,
+      scientificName: b.scientificName,
+      commonName: b.commonName,
+      commonNameI18n: b.commonNameI18n,
+      geoscore: b.geoscore
+    }))
+  };
+}
+
 /* ==========================================================================
    6. CORE LOGIC: PREDICTION
    ========================================================================== */
 
+/**
+ * Live requests carry no audio: the latest window of every channel is
+ * read from the rings and all channels run as one batch.
+ * Live results are posted as 'segments' and 'pooled' events per channel
+ * (the same path geo updates use), so the reply only carries windowId.
+ * Other sources get their segments and pooled scores in the reply.
+ */
 async function handlePredict(data) {
-  if (!birdModel) return;
 
   // 1. Prepare Audio Window
   const overlapSecRaw = parseFloat(data.overlapSec ?? 1.5);
@@ -323,64 +733,97 @@ async function handlePredict(data) {
   const overlapSamples = Math.round(overlapSec * SAMPLE_RATE);
   const hopSamples = Math.max(1, WINDOW_SAMPLES - overlapSamples);
 
-  const pcm = data.pcmAudio || new Float32Array(0);
-  const total = pcm.length;
+  const channels = data.pcmAudio ? [data.pcmAudio] : readLiveWindows(data.windowId);
+  const total = channels[0].length;
 
-  // Frame the audio (sliding window)
+  // Frame the audio (sliding window), channel after channel
   const numFrames = Math.max(1, Math.ceil(Math.max(0, total - WINDOW_SAMPLES) / hopSamples) + 1);
-  const framed = new Float32Array(numFrames * WINDOW_SAMPLES);
-  for (let f = 0; f < numFrames; f++) {
-    const start = f * hopSamples;
-    const srcEnd = Math.min(start + WINDOW_SAMPLES, total);
-    framed.set(pcm.subarray(start, srcEnd), f * WINDOW_SAMPLES);
-  }
+  const framed = new Float32Array(channels.length * numFrames * WINDOW_SAMPLES);
+  channels.forEach((pcm, c) => {
+    for (let f = 0; f < numFrames; f++) {
+      const start = f * hopSamples;
+      const srcEnd = Math.min(start + WINDOW_SAMPLES, total);
+      framed.set(pcm.subarray(start, srcEnd), (c * numFrames + f) * WINDOW_SAMPLES);
+    }
+  });
 
   // 2. Run Inference
-  const audioTensor = tf.tensor2d(framed, [numFrames, WINDOW_SAMPLES]);
-  const resTensor = birdModel.predict(audioTensor);
-  let predictionList = await resTensor.array(); // [numFrames, numClasses]
+  const audioTensor = tf.tensor2d(framed, [channels.length * numFrames, WINDOW_SAMPLES]);
+  let resTensor, embTensor = null;
+  if (customHead) {
+    [resTensor, embTensor] = featureModel.predict(audioTensor);
+  } else {
+    resTensor = birdModel.predict(audioTensor);
+  }
+  let predictionList = await resTensor.array(); // [channels * numFrames, numClasses]
   
   resTensor.dispose(); 
   audioTensor.dispose();
 
+  // Custom classes are appended after the built-in ones
+  if (embTensor) {
+    const customTensor = customHead.predict(embTensor);
+    const customList = await customTensor.array();
+    predictionList = predictionList.map((row, f) => row.concat(customList[f]));
+    customTensor.dispose();
+    embTensor.dispose();
+  }
+
   // 3. Apply Sensitivity
   const sensitivity = parseFloat(data.sensitivity || 1.0);
   if (sensitivity !== 1.0) {
     predictionList = applySensitivity(predictionList, sensitivity);
   }
 
-  // 4. Cache results (for geo updates)
-  lastPredictionList = predictionList;
-  lastHopSamples = hopSamples;
-  lastNumFrames = numFrames;
-  lastWindowSize = WINDOW_SAMPLES;
+  const source = data.source || 'live';
+  const offsetSec = parseFloat(data.offsetSec || 0);
+  const minConfidence = parseFloat(data.minConfidence || 0);
+  let segments, pooled;
+
+  channels.forEach((_, channel) => {
+    const channelList = predictionList.slice(channel * numFrames, (channel + 1) * numFrames);
+    const segmentOptions = { offsetSec, minConfidence, source, channel };
+
+    // 4. Cache results (for geo updates, live audio only)
+    if (source === 'live') {
+      liveResults[channel] = { predictionList: channelList, hopSamples, windowSize: WINDOW_SAMPLES, segmentOptions, windowId: data.windowId };
+    }
+
+    // 5. Emit Segment Results
+    segments = emitSegments(channelList, hopSamples, WINDOW_SAMPLES, segmentOptions);
 
-  // 5. Emit Segment Results
-  emitSegments(predictionList, hopSamples, WINDOW_SAMPLES);
+    // 6. Pool Results (Log-Mean-Exp) & Emit
+    // windowId is echoed back so the app can match results to the audio it sent
+    pooled = emitPooled(channelList, { source, windowId: data.windowId, channel });
+  });
 
-  // 6. Pool Results (Log-Mean-Exp) & Emit
-  emitPooled(predictionList);
+  return source === 'live' ? { windowId: data.windowId } : { segments, pooled };
 }
 
-function emitSegments(predictionList, hopSamples, windowSize) {
+/**
+ * Posts per-frame results. Times are relative to the start of the
+ * submitted audio plus offsetSec (used when a file is analyzed in chunks).
+ * Predictions below minConfidence are dropped to keep messages small.
+ */
+function emitSegments(predictionList, hopSamples, windowSize, options = {}) {
+  const { offsetSec = 0, minConfidence = 0, source = 'live', channel = 0 } = options;
   const segments = [];
   for (let f = 0; f < predictionList.length; f++) {
-    const startSec = (f * hopSamples) / SAMPLE_RATE;
+    const startSec = offsetSec + (f * hopSamples) / SAMPLE_RATE;
     const endSec = startSec + windowSize / SAMPLE_RATE;
-    const preds = predictionList[f].map((conf, i) => ({
-      index: i,
-      confidence: conf,
-      geoscore: birds[i].geoscore,
-      scientificName: birds[i].scientificName,
-      commonName: birds[i].commonName,
-      commonNameI18n: birds[i].commonNameI18n
-    }));
+    const preds = [];
+    predictionList[f].forEach((conf, i) => {
+      if (conf < minConfidence) return;
+      preds.push(classResult(i, conf));
+    });
     segments.push({ start: startSec, end: endSec, preds });
   }
-  postMessage({ message: 'segments', segments });
+  if (source === 'live') postMessage({ message: 'segments', segments, source, channel });
+  return segments;
 }
 
-function emitPooled(predictionList) {
+function emitPooled(predictionList, options = {}) {
+  const { source = 'live', windowId, channel = 0 } = options;
   const numClasses = predictionList[0]?.length || 0;
   const numFrames = predictionList.length;
   const ALPHA = 5.0; // Pooling factor
@@ -393,18 +836,30 @@ function emitPooled(predictionList) {
     }
   }
   
-  lastMeans = Array.from(sumsExp, s => Math.log(s / numFrames) / ALPHA);
+  const means = Array.from(sumsExp, s => Math.log(s / numFrames) / ALPHA);
+  if (source === 'live' && liveResults[channel]) liveResults[channel].means = means;
 
-  const pooled = lastMeans.map((m, i) => ({
-    index: i,
-    scientificName: birds[i].scientificName,
-    commonName: birds[i].commonName,
-    commonNameI18n: birds[i].commonNameI18n,
-    confidence: m,
-    geoscore: birds[i].geoscore
-  }));
+  const pooled = means.map((m, i) => classResult(i, m));
   
-  postMessage({ message: 'pooled', pooled });
+  if (source === 'live') postMessage({ message: 'pooled', pooled, source, windowId, channel });
+  return pooled;
+}
+
+/**
+ * Result entry for class i: built-in species first, then custom classes.
+ */
+function classResult(i, confidence) {
+  const c = i < birds.length ? birds[i] : customClasses[i - birds.length];
+  const result = {
+    index: i,
+    scientificName: c.scientificName,
+    commonName: c.commonName,
+    commonNameI18n: c.commonNameI18n,
+    confidence,
+    geoscore: c.geoscore
+  };
+  if (c.custom) result.custom = true;
+  return result;
 }
 
 /**
@@ -442,22 +897,182 @@ async function handleAreaScores(data) {
   for (let i = 0; i < birds.length; i++) {
     birds[i].geoscore = areaScores[i];
   }
-  
-  postMessage({ message: 'area-scores' });
 
-  // Re-emit cached results with new geo scores
-  if (lastPredictionList && lastHopSamples != null) {
-    emitSegments(lastPredictionList, lastHopSamples, lastWindowSize);
+  // Re-emit cached results with new geo scores, under the window they came from
+  liveResults.forEach((result, channel) => {
+    emitSegments(result.predictionList, result.hopSamples, result.windowSize, result.segmentOptions);
+    if (result.means) {
+      const pooled = result.means.map((m, i) => classResult(i, m));
+      postMessage({ message: 'pooled', pooled, source: 'live', windowId: result.windowId, channel });
+    }
+  });
+}
+
+/* ==========================================================================
+   8. CUSTOM CLASSIFIER
+   ========================================================================== */
+
+/**
+ * Exposes the penultimate layer (1024-d global average pool) next to the
+ * class scores, so one forward pass feeds both heads.
+ */
+function buildFeatureModel() {
+  try {
+    featureModel = tf.model({
+      inputs: birdModel.inputs,
+      outputs: [birdModel.outputs[0], birdModel.getLayer(EMBEDDING_LAYER).output]
+    });
+  } catch (e) {
+    console.warn("Embedding layer unavailable, custom classes disabled", e);
+    featureModel = null;
   }
-  if (lastMeans) {
-    const pooled = lastMeans.map((m, i) => ({
-      index: i,
-      scientificName: birds[i].scientificName,
-      commonName: birds[i].commonName,
-      commonNameI18n: birds[i].commonNameI18n,
-      confidence: m,
-      geoscore: birds[i].geoscore
-    }));
-    postMessage({ message: 'pooled', pooled });
-  }
-}
\ No newline at end of file
+}
+
+// Heads only fit the embeddings of the model they were trained on
+function customHeadUrl() {
+  return `${CUSTOM_HEAD_PREFIX}-${modelInfo.id}`;
+}
+
+function embeddingSize() {
+  return featureModel ? featureModel.outputs[1].shape[1] : 0;
+}
+
+async function loadCustomHead() {
+  if (!featureModel) return;
+  try {
+    const head = await tf.loadLayersModel(customHeadUrl());
+    const meta = head.getUserDefinedMetadata() || {};
+    if (head.inputs[0].shape[1] !== embeddingSize() || !Array.isArray(meta.classes)) {
+      console.warn("Stored custom classifier does not match this model, ignoring it");
+      head.dispose();
+      return;
+    }
+    setCustomHead(head, meta);
+  } catch (_) {
+    // Nothing trained yet
+    return;
+  }
+  postMessage({ message: 'custom_loaded', classes: customClasses.map(c => c.scientificName), trainedAt: customHead.getUserDefinedMetadata().trainedAt });
+}
+
+function setCustomHead(head, meta) {
+  if (customHead && customHead !== head) customHead.dispose();
+  customHead = head;
+  resetPredictionCache(); // Cached results have the old class count
+  customClasses = meta.classes.map(name => ({
+    scientificName: name,
+    commonName: name,
+    commonNameI18n: name,
+    geoscore: 1, // No range data, never hidden by the geo filter
+    custom: true
+  }));
+}
+
+/**
+ * Embeds a clip as consecutive, non-overlapping 3 s windows.
+ * Replies with the flattened [count, dim] embeddings.
+ */
+async function handleEmbed(data) {
+  if (!featureModel) throw workerError('unavailable', 'Embeddings not available for this model');
+  const pcm = data.pcmAudio || new Float32Array(0);
+  const count = Math.max(1, Math.ceil(pcm.length / WINDOW_SAMPLES));
+  const dim = embeddingSize();
+  const embeddings = new Float32Array(count * dim);
+
+  for (let start = 0; start < count; start += EMBED_BATCH_SIZE) {
+    const n = Math.min(EMBED_BATCH_SIZE, count - start);
+    const framed = new Float32Array(n * WINDOW_SAMPLES); // Zero-padded at the end
+    framed.set(pcm.subarray(start * WINDOW_SAMPLES, (start + n) * WINDOW_SAMPLES));
+    const audioTensor = tf.tensor2d(framed, [n, WINDOW_SAMPLES]);
+    const [resTensor, embTensor] = featureModel.predict(audioTensor);
+    embeddings.set(await embTensor.data(), start * dim);
+    tf.dispose([audioTensor, resTensor, embTensor]);
+  }
+
+  return { embeddings, count, dim };
+}
+
+/**
+ * Trains a sigmoid head (one unit per class, like BirdNET itself) on
+ * labeled embeddings and stores it in IndexedDB. Progress is posted
+ * as 'train_progress' events.
+ * examples: [{ label, embeddings, count, dim }], classes: [label]
+ * Examples whose label is not in classes are negatives for every class.
+ */
+async function handleTrainCustom(data) {
+  const { examples = [], classes = [], epochs = 50 } = data;
+  const dim = embeddingSize();
+  const rows = examples.reduce((n, ex) => n + (ex.dim === dim ? ex.count : 0), 0);
+  if (!featureModel || !classes.length || !rows) {
+    throw workerError('invalid_request', 'Not enough training data');
+  }
+
+  const xs = new Float32Array(rows * dim);
+  const ys = new Float32Array(rows * classes.length);
+  let row = 0;
+  examples.forEach(ex => {
+    if (ex.dim !== dim) return;
+    const classIndex = classes.indexOf(ex.label);
+    xs.set(ex.embeddings.subarray(0, ex.count * dim), row * dim);
+    for (let r = 0; r < ex.count; r++, row++) {
+      if (classIndex >= 0) ys[row * classes.length + classIndex] = 1;
+    }
+  });
+
+  const head = tf.sequential({
+    layers: [tf.layers.dense({ inputShape: [dim], units: classes.length, activation: 'sigmoid', name: 'CUSTOM_CLASS_DENSE' })]
+  });
+  head.compile({ optimizer: tf.train.adam(0.005), loss: 'binaryCrossentropy', metrics: ['binaryAccuracy'] });
+
+  const xTensor = tf.tensor2d(xs, [rows, dim]);
+  const yTensor = tf.tensor2d(ys, [rows, classes.length]);
+  try {
+    const history = await head.fit(xTensor, yTensor, {
+      epochs,
+      batchSize: 32,
+      shuffle: true,
+      callbacks: {
+        onEpochEnd: (epoch, logs) => postMessage({
+          message: 'train_progress',
+          requestId: data.requestId,
+          progress: Math.round((epoch + 1) / epochs * 100),
+          loss: logs.loss
+        })
+      }
+    });
+
+    const meta = { classes, trainedAt: Date.now(), embeddingLayer: EMBEDDING_LAYER };
+    head.setUserDefinedMetadata(meta);
+    await head.save(customHeadUrl());
+    setCustomHead(head, meta);
+
+    const accuracy = history.history.binaryAccuracy;
+    return {
+      classes,
+      trainedAt: meta.trainedAt,
+      accuracy: accuracy ? accuracy[accuracy.length - 1] : null
+    };
+  } catch (e) {
+    head.dispose();
+    throw e;
+  } finally {
+    tf.dispose([xTensor, yTensor]);
+  }
+}
+
+function resetPredictionCache() {
+  liveResults = [];
+}
+
+async function handleClearCustom() {
+  if (customHead) customHead.dispose();
+  customHead = null;
+  customClasses = [];
+  resetPredictionCache();
+  try {
+    await tf.io.removeModel(customHeadUrl());
+  } catch (_) {
+    // Nothing stored
+  }
+  return {};
+}
@@ -0,0 +1,242 @@
+/**
+ * BirdNET Live - Detection Export
+ * Formats detections for desktop tools: plain CSV, Raven Pro selection
+ * tables and the BirdNET-Analyzer "csv" and "table" result types, plus
+ * eBird Record Format checklists.
+ *
+ * Rows are plain objects: { start, end, scientificName, commonName,
+ * confidence, geoscore?, custom?, timestamp?, lat?, lon?, channel? } with
+ * times in seconds and channel counted from 0. custom marks classes of an
+ * on-device classifier, whose label stands in for the scientific name.
+ */
+
+/* ==========================================================================
+   1. CONFIGURATION
+   ========================================================================== */
+
+// Frequency band written to selection tables (model input is band-limited to 15 kHz)
+const EXPORT_HIGH_FREQ = 15000;
+
+const EXPORT_FORMATS = {
+  csv:           { suffix: ".csv",                         mime: "text/csv",   build: formatPlainCsv },
+  raven:         { suffix: ".selections.txt",              mime: "text/plain", build: formatRavenTable },
+  birdnet_csv:   { suffix: ".BirdNET.results.csv",         mime: "text/csv",   build: formatBirdnetCsv },
+  birdnet_table: { suffix: ".BirdNET.selection.table.txt", mime: "text/plain", build: formatBirdnetTable }
+};
+
+/* ==========================================================================
+   2. FORMATTERS
+   ========================================================================== */
+
+/**
+ * Header block of the plain CSV, written as "#" comment lines.
+ * meta: { appVersion, modelVersion, settings: { threshold, sensitivity, rumbleFilter }, source }
+ */
+function formatExportHeader(meta) {
+  return [
+    `# BirdNET Live ${meta.appVersion || ""}`.trim(),
+    `# Model: BirdNET ${meta.modelVersion || ""}`.trim(),
+    `# Source: ${meta.source || ""}`,
+    `# Settings: ${formatExportSettings(meta.settings)}`,
+    `# Exported: ${new Date().toISOString()}`
+  ];
+}
+
+/**
+ * The same information as trailing columns, for Raven and BirdNET-Analyzer
+ * files: their header row has to be the first line, and both read extra
+ * columns as annotations.
+ */
+function exportInfoColumns(meta) {
+  return {
+    names: ["App Version", "Model Version", "Settings"],
+    values: [
+      `BirdNET Live ${meta.appVersion || ""}`.trim(),
+      `BirdNET ${meta.modelVersion || ""}`.trim(),
+      formatExportSettings(meta.settings)
+    ]
+  };
+}
+
+function formatExportSettings(settings) {
+  const s = settings || {};
+  return `threshold=${s.threshold}; sensitivity=${s.sensitivity}; rumble_filter_hz=${s.rumbleFilter}`;
+}
+
+function formatPlainCsv(rows, meta) {
+  const lines = formatExportHeader(meta);
+  lines.push(["Start (s)", "End (s)", "Timestamp", "Scientific name", "Common name",
+    "Confidence", "Geo score", "Latitude", "Longitude", "Custom class"].map(csvField).join(","));
+  rows.forEach(r => {
+    lines.push([
+      r.start.toFixed(1),
+      r.end.toFixed(1),
+      r.timestamp ? new Date(r.timestamp).toISOString() : "",
+      r.scientificName,
+      r.commonName,
+      r.confidence.toFixed(4),
+      typeof r.geoscore === "number" ? r.geoscore.toFixed(4) : "",
+      typeof r.lat === "number" ? r.lat.toFixed(6) : "",
+      typeof r.lon === "number" ? r.lon.toFixed(6) : "",
+      r.custom ? "yes" : ""
+    ].map(csvField).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function formatRavenTable(rows, meta) {
+  const lowFreq = (meta.settings && meta.settings.rumbleFilter) || 0;
+  const info = exportInfoColumns(meta);
+  const lines = [["Selection", "View", "Channel", "Begin Time (s)", "End Time (s)",
+    "Low Freq (Hz)", "High Freq (Hz)", "Species", "Common Name", "Confidence",
+    ...info.names].join("\t")];
+  rows.forEach((r, i) => {
+    lines.push([
+      i + 1,
+      "Spectrogram 1",
+      exportChannel(r),
+      r.start.toFixed(1),
+      r.end.toFixed(1),
+      lowFreq,
+      EXPORT_HIGH_FREQ,
+      r.scientificName,
+      r.commonName,
+      r.confidence.toFixed(4),
+      ...info.values
+    ].join("\t"));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function formatBirdnetCsv(rows, meta) {
+  const info = exportInfoColumns(meta);
+  const lines = [["Start (s)", "End (s)", "Scientific name", "Common name", "Confidence", "File",
+    ...info.names].map(csvField).join(",")];
+  rows.forEach(r => {
+    lines.push([
+      r.start.toFixed(1),
+      r.end.toFixed(1),
+      r.scientificName,
+      r.commonName,
+      r.confidence.toFixed(4),
+      meta.source || "",
+      ...info.values
+    ].map(csvField).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function formatBirdnetTable(rows, meta) {
+  const lowFreq = (meta.settings && meta.settings.rumbleFilter) || 0;
+  const info = exportInfoColumns(meta);
+  const lines = [["Selection", "View", "Channel", "Begin Time (s)", "End Time (s)",
+    "Low Freq (Hz)", "High Freq (Hz)", "Common Name", "Species Code", "Confidence",
+    "Begin Path", "File Offset (s)", ...info.names].join("\t")];
+  rows.forEach((r, i) => {
+    lines.push([
+      i + 1,
+      "Spectrogram 1",
+      exportChannel(r),
+      r.start.toFixed(1),
+      r.end.toFixed(1),
+      lowFreq,
+      EXPORT_HIGH_FREQ,
+      r.commonName,
+      "", // No eBird species codes in the label files
+      r.confidence.toFixed(4),
+      meta.source || "",
+      r.start.toFixed(1),
+      ...info.values
+    ].join("\t"));
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * eBird Record Format (Extended): one row per species, no header row.
+ * species: [{ commonName, scientificName, count }]
+ * checklist: { lat, lon, locationName, startTime, durationMin, protocol,
+ *              distanceKm, comments }
+ */
+function formatEbirdChecklist(species, checklist) {
+  const start = new Date(checklist.startTime);
+  const pad = (n) => String(n).padStart(2, "0");
+  const date = `${pad(start.getMonth() + 1)}/${pad(start.getDate())}/${start.getFullYear()}`;
+  const time = `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+  const traveling = checklist.protocol === "traveling";
+  const distanceMiles = traveling ? (checklist.distanceKm || 0) / 1.609344 : null;
+
+  return species.map(sp => {
+    const [genus, ...rest] = (sp.scientificName || "").split(" ");
+    return [
+      sp.commonName,
+      genus || "",
+      rest.join(" "),
+      sp.count,
+      "",                                   // Species comments
+      checklist.locationName || "",
+      typeof checklist.lat === "number" ? checklist.lat.toFixed(6) : "",
+      typeof checklist.lon === "number" ? checklist.lon.toFixed(6) : "",
+      date,
+      time,
+      "",                                   // State/Province (eBird infers it)
+      "",                                   // Country code (eBird infers it)
+      traveling ? "Traveling" : "Stationary",
+      1,                                    // Number of observers
+      Math.max(1, Math.round(checklist.durationMin || 0)),
+      "N",                                  // Not a complete checklist
+      distanceMiles !== null ? distanceMiles.toFixed(2) : "",
+      "",                                   // Effort area
+      checklist.comments || ""
+    ].map(csvField).join(",");
+  }).join("\n") + "\n";
+}
+
+/* ==========================================================================
+   3. UTILITIES
+   ========================================================================== */
+
+/**
+ * Great-circle distance in kilometres between two { lat, lon } points.
+ */
+function haversineKm(a, b) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Selection tables count channels from 1.
+ */
+function exportChannel(row) {
+  return typeof row.channel === "number" ? row.channel + 1 : 1;
+}
+
+function csvField(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Builds the export for a format id and triggers a download.
+ */
+function exportDetections(formatId, rows, meta, baseName) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+  downloadFile(format.build(rows, meta), baseName + format.suffix, format.mime);
+}
+
+function downloadFile(content, filename, mime) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
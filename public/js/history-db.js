@@ -0,0 +1,136 @@
+/**
+ * BirdNET Live - Detection History Storage
+ * Persists listening sessions and their detections in IndexedDB
+ * so past recordings can be reviewed on the History page.
+ */
+
+/* ==========================================================================
+   1. CONFIGURATION
+   ========================================================================== */
+
+const HISTORY_DB_NAME = "birdnet-history";
+const HISTORY_DB_VERSION = 1;
+
+const SESSIONS_STORE = "sessions";     // { id, startTime, endTime, location, settings, labelLang }
+const DETECTIONS_STORE = "detections"; // { id, sessionId, timestamp, speciesIndex, names, confidence, custom, ... }
+
+let historyDbPromise = null;
+
+/* ==========================================================================
+   2. DATABASE ACCESS
+   ========================================================================== */
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+
+  historyDbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in self)) {
+      reject(new Error("IndexedDB not supported"));
+      return;
+    }
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: "id", autoIncrement: true });
+        sessions.createIndex("startTime", "startTime");
+      }
+      if (!db.objectStoreNames.contains(DETECTIONS_STORE)) {
+        const detections = db.createObjectStore(DETECTIONS_STORE, { keyPath: "id", autoIncrement: true });
+        detections.createIndex("sessionId", "sessionId");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Allow a retry after a failed open (e.g. blocked by another tab)
+  historyDbPromise.catch(() => { historyDbPromise = null; });
+  return historyDbPromise;
+}
+
+function promisifyRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Runs fn(stores) in a transaction and resolves with its result
+ * once the transaction has committed.
+ */
+async function historyTransaction(storeNames, mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+    let result;
+    Promise.resolve(fn(...stores)).then(r => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/* ==========================================================================
+   3. SESSIONS
+   ========================================================================== */
+
+function createSession(session) {
+  return historyTransaction(SESSIONS_STORE, "readwrite",
+    store => promisifyRequest(store.add(session)));
+}
+
+function updateSession(id, changes) {
+  return historyTransaction(SESSIONS_STORE, "readwrite", async store => {
+    const session = await promisifyRequest(store.get(id));
+    if (session) store.put({ ...session, ...changes });
+  });
+}
+
+/**
+ * Returns all sessions, newest first.
+ */
+async function getSessions() {
+  const sessions = await historyTransaction(SESSIONS_STORE, "readonly",
+    store => promisifyRequest(store.getAll()));
+  return sessions.sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Deletes a session together with all of its detections.
+ */
+function deleteSession(id) {
+  return historyTransaction([SESSIONS_STORE, DETECTIONS_STORE], "readwrite", async (sessions, detections) => {
+    sessions.delete(id);
+    const keys = await promisifyRequest(detections.index("sessionId").getAllKeys(id));
+    keys.forEach(key => detections.delete(key));
+  });
+}
+
+/* ==========================================================================
+   4. DETECTIONS
+   ========================================================================== */
+
+function addDetection(detection) {
+  return historyTransaction(DETECTIONS_STORE, "readwrite",
+    store => promisifyRequest(store.add(detection)));
+}
+
+function updateDetection(id, changes) {
+  return historyTransaction(DETECTIONS_STORE, "readwrite", async store => {
+    const detection = await promisifyRequest(store.get(id));
+    if (detection) store.put({ ...detection, ...changes });
+  });
+}
+
+/**
+ * Returns the detections of one session in chronological order.
+ */
+async function getSessionDetections(sessionId) {
+  const detections = await historyTransaction(DETECTIONS_STORE, "readonly",
+    store => promisifyRequest(store.index("sessionId").getAll(sessionId)));
+  return detections.sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -0,0 +1,77 @@
+/**
+ * BirdNET Live - Resampler
+ * Converts audio between sample rates for the model's 48 kHz input, in the
+ * audio worklet (live input) and on the page (imported files).
+ *
+ * Loaded as a classic script on the page and as a module in the worklet,
+ * so it only defines a global.
+ */
+
+/**
+ * Streaming band-limited resampler for any rate ratio. The Blackman-windowed
+ * sinc kernel is cut off just below the lower of the two Nyquist
+ * frequencies, so downsampling does not alias and upsampling does not image.
+ */
+class SincResampler {
+  constructor(inputRate, outputRate, zeroCrossings = 16) {
+    // Input samples advanced per output sample
+    this.step = inputRate / outputRate;
+
+    // Cutoff relative to the input Nyquist frequency, with a little roll-off room
+    this.cutoff = Math.min(1, outputRate / inputRate) * 0.95;
+    this.halfWidth = Math.ceil(zeroCrossings / this.cutoff); // Input samples per side
+
+    // Kernel sampled at 1/PHASES input-sample steps, interpolated linearly
+    this.phases = 256;
+    const size = this.halfWidth * this.phases + 2;
+    this.kernel = new Float32Array(size);
+    for (let j = 0; j < size; j++) {
+      const d = j / this.phases;
+      if (d >= this.halfWidth) break;
+      const x = Math.PI * this.cutoff * d;
+      const sinc = d === 0 ? 1 : Math.sin(x) / x;
+      const r = d / this.halfWidth;
+      const blackman = 0.42 + 0.5 * Math.cos(Math.PI * r) + 0.08 * Math.cos(2 * Math.PI * r);
+      this.kernel[j] = this.cutoff * sinc * blackman;
+    }
+
+    // Input history, indexed by absolute sample number
+    let historySize = 1;
+    while (historySize < 2 * this.halfWidth + 2) historySize *= 2;
+    this.history = new Float32Array(historySize);
+    this.mask = historySize - 1;
+    this.count = 0; // Input samples received
+    this.time = 0;  // Input position of the next output sample
+  }
+
+  _tap(distance) {
+    const pos = Math.abs(distance) * this.phases;
+    const j = Math.floor(pos);
+    const frac = pos - j;
+    return this.kernel[j] + (this.kernel[j + 1] - this.kernel[j]) * frac;
+  }
+
+  /**
+   * Feeds input samples and calls emit(sample) for every output sample
+   * whose filter taps are all available.
+   */
+  process(input, emit) {
+    for (let i = 0; i < input.length; i++) {
+      this.history[this.count & this.mask] = input[i];
+      this.count++;
+
+      while (Math.floor(this.time) + this.halfWidth < this.count) {
+        const center = Math.floor(this.time);
+        let sum = 0;
+        for (let k = center - this.halfWidth + 1; k <= center + this.halfWidth; k++) {
+          if (k < 0) continue;
+          sum += this.history[k & this.mask] * this._tap(this.time - k);
+        }
+        emit(sum);
+        this.time += this.step;
+      }
+    }
+  }
+}
+
+globalThis.SincResampler = SincResampler;
@@ -0,0 +1,338 @@
+/**
+ * BirdNET Live - Spectrogram Renderer
+ * Draws scrolling spectrogram columns into an ImageData through a
+ * precomputed colormap lookup table, one putImageData per frame.
+ * Recent spectra are kept (quantized to bytes) so a paused, scrolled or
+ * zoomed view can be redrawn from them.
+ *
+ * Runs on the page's canvas, or on an OffscreenCanvas inside
+ * spectrogram-worker.js where the browser supports it. Both share the
+ * same methods, so the app does not care which one it got.
+ */
+
+/* ==========================================================================
+   1. SPECTRUM HISTORY
+   ========================================================================== */
+
+/**
+ * Ring of spectra (one byte per FFT bin) with their audio times,
+ * at most one per `step` seconds.
+ */
+class SpectrogramHistory {
+  static MIN_DB = -160;
+  static MAX_DB = 0;
+
+  constructor(seconds, step) {
+    this.step = step;
+    this.capacity = Math.ceil(seconds / step);
+    this.times = new Float64Array(this.capacity);
+    this.bins = 0;
+    this.data = null;
+    this.clear();
+  }
+
+  clear() {
+    this.count = 0;
+    this.head = 0; // Next slot to write
+  }
+
+  get latestTime() {
+    return this.count ? this.times[(this.head - 1 + this.capacity) % this.capacity] : null;
+  }
+
+  push(spectrum, time) {
+    const latest = this.latestTime;
+    if (latest !== null && time - latest < this.step) return;
+    if (spectrum.length !== this.bins) {
+      this.bins = spectrum.length;
+      this.data = new Uint8Array(this.capacity * this.bins);
+      this.clear();
+    }
+
+    const scale = 255 / (SpectrogramHistory.MAX_DB - SpectrogramHistory.MIN_DB);
+    const offset = this.head * this.bins;
+    for (let i = 0; i < this.bins; i++) {
+      // Uint8Array wraps out-of-range values, so clamp first
+      const q = (spectrum[i] - SpectrogramHistory.MIN_DB) * scale;
+      this.data[offset + i] = q > 0 ? (q < 255 ? Math.round(q) : 255) : 0;
+    }
+    this.times[this.head] = time;
+    this.head = (this.head + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+  }
+
+  /**
+   * Slot of the k-th stored spectrum, oldest first.
+   */
+  slot(k) {
+    return (this.head - this.count + k + this.capacity) % this.capacity;
+  }
+
+  /**
+   * Position (oldest = 0) of the newest spectrum at or before time, -1 if none.
+   */
+  indexAt(time) {
+    let lo = 0;
+    let hi = this.count - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.times[this.slot(mid)] <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+}
+
+/* ==========================================================================
+   2. RENDERER
+   ========================================================================== */
+
+class SpectrogramRenderer {
+  static GAMMA = 0.8; // Slight contrast boost of quiet parts
+  static LEVELS = 256;
+  static HISTORY_STEP = 0.025; // Seconds between stored spectra
+
+  /**
+   * canvas: an HTMLCanvasElement or OffscreenCanvas.
+   * options: { historySec } seconds of spectra kept for the view.
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.minDb = -120;
+    this.maxDb = -40;
+    this.rowBins = null; // { from, to }: FFT bins behind each pixel row (row 0 = top)
+    this.view = { end: null, duration: 20 }; // end: audio time at the right edge, null = live
+    this.history = new SpectrogramHistory(options.historySec || 300, SpectrogramRenderer.HISTORY_STEP);
+    this.black = new Uint32Array(new Uint8ClampedArray([0, 0, 0, 255]).buffer)[0];
+    this.levels = new Uint32Array(SpectrogramRenderer.LEVELS).fill(this.black);
+    this.image = null;
+    this.pixels = null;
+    this.resize(canvas.width, canvas.height);
+  }
+
+  get width() { return this.canvas.width; }
+  get height() { return this.canvas.height; }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.image = this.ctx.createImageData(width, height);
+    this.pixels = new Uint32Array(this.image.data.buffer);
+    this.renderView();
+  }
+
+  /**
+   * lut: Uint8ClampedArray of 256 RGBA colors from quiet to loud.
+   * The gamma curve is folded into the table.
+   */
+  setColormap(lut) {
+    const colors = new Uint32Array(Uint8ClampedArray.from(lut).buffer);
+    const last = colors.length - 1;
+    for (let i = 0; i < this.levels.length; i++) {
+      const t = Math.pow(i / (this.levels.length - 1), SpectrogramRenderer.GAMMA);
+      this.levels[i] = colors[Math.round(t * last)];
+    }
+    this.renderView();
+  }
+
+  setDbRange(minDb, maxDb) {
+    this.minDb = minDb;
+    this.maxDb = maxDb;
+    this.renderView();
+  }
+
+  setRowBins(rowBins) {
+    if (rowBins === this.rowBins) return;
+    this.rowBins = rowBins;
+    this.renderView();
+  }
+
+  /**
+   * view: { end, duration } in audio seconds; end null follows the
+   * newest spectrum (live).
+   */
+  setView(view) {
+    this.view = view;
+    this.renderView();
+  }
+
+  /**
+   * Forgets all spectra, e.g. when a new audio context restarts the clock.
+   */
+  clearHistory() {
+    this.history.clear();
+    this.renderView();
+  }
+
+  /**
+   * Stores one spectrum (dB per FFT bin) taken at audio time `time`.
+   * While live, also scrolls left by count columns and fills them with it.
+   */
+  pushSpectrum(spectrum, time, count) {
+    this.history.push(spectrum, time);
+    if (this.view.end !== null) return;
+
+    const w = this.width;
+    const h = this.height;
+    if (!this.rowBins || this.rowBins.from.length !== h || count <= 0) return;
+    count = Math.min(count, w);
+
+    const { from, to } = this.rowBins;
+    const scale = (this.levels.length - 1) / (this.maxDb - this.minDb);
+    for (let y = 0; y < h; y++) {
+      let db = -Infinity;
+      for (let i = from[y]; i <= to[y]; i++) {
+        if (spectrum[i] > db) db = spectrum[i];
+      }
+      const level = Math.max(0, Math.min(this.levels.length - 1, Math.round((db - this.minDb) * scale)));
+      const color = this.levels[level];
+
+      const row = y * w;
+      this.pixels.copyWithin(row, row + count, row + w);
+      this.pixels.fill(color, row + w - count, row + w);
+    }
+    this.flush();
+  }
+
+  /**
+   * Redraws the whole view from the history. A pixel column spanning
+   * several stored spectra shows the loudest of them, so short calls
+   * stay visible when zoomed out.
+   */
+  renderView() {
+    if (!this.pixels) return;
+    this.pixels.fill(this.black);
+    const history = this.history;
+    const w = this.width;
+    const h = this.height;
+    if (!history.count || !this.rowBins || this.rowBins.from.length !== h) {
+      this.flush();
+      return;
+    }
+
+    // Color of each stored byte under the current dB range
+    const colors = new Uint32Array(256);
+    const maxLevel = this.levels.length - 1;
+    const dbPerStep = (SpectrogramHistory.MAX_DB - SpectrogramHistory.MIN_DB) / 255;
+    const levelScale = maxLevel / (this.maxDb - this.minDb);
+    for (let q = 0; q < 256; q++) {
+      const db = SpectrogramHistory.MIN_DB + q * dbPerStep;
+      colors[q] = this.levels[Math.max(0, Math.min(maxLevel, Math.round((db - this.minDb) * levelScale)))];
+    }
+
+    const { from, to } = this.rowBins;
+    const end = this.view.end !== null ? this.view.end : history.latestTime;
+    const secondsPerColumn = this.view.duration / w;
+    const bins = history.bins;
+    const data = history.data;
+    const column = new Uint8Array(h);
+    let prev = history.indexAt(end - w * secondsPerColumn);
+
+    for (let x = 0; x < w; x++) {
+      const k = history.indexAt(end - (w - 1 - x) * secondsPerColumn);
+      if (k < 0) continue;
+      const first = Math.max(0, Math.min(k, prev + 1));
+      prev = k;
+
+      column.fill(0);
+      for (let j = first; j <= k; j++) {
+        const offset = history.slot(j) * bins;
+        for (let y = 0; y < h; y++) {
+          for (let i = from[y]; i <= to[y]; i++) {
+            const q = data[offset + i];
+            if (q > column[y]) column[y] = q;
+          }
+        }
+      }
+      for (let y = 0; y < h; y++) {
+        this.pixels[y * w + x] = colors[column[y]];
+      }
+    }
+    this.flush();
+  }
+
+  flush() {
+    this.ctx.putImageData(this.image, 0, 0);
+  }
+}
+
+/* ==========================================================================
+   3. OFFSCREEN (WORKER) RENDERER
+   ========================================================================== */
+
+/**
+ * Same methods as SpectrogramRenderer; the drawing happens in
+ * spectrogram-worker.js on the canvas transferred to it.
+ */
+class OffscreenSpectrogramRenderer {
+  static isSupported(canvas) {
+    return typeof Worker === "function" && typeof OffscreenCanvas === "function" &&
+      typeof canvas.transferControlToOffscreen === "function";
+  }
+
+  constructor(canvas, workerUrl, options = {}) {
+    this._width = canvas.width;
+    this._height = canvas.height;
+    this.rowBins = null;
+    const offscreen = canvas.transferControlToOffscreen();
+    this.worker = new Worker(workerUrl);
+    this.worker.postMessage({ message: "init", canvas: offscreen, options }, [offscreen]);
+  }
+
+  get width() { return this._width; }
+  get height() { return this._height; }
+
+  resize(width, height) {
+    this._width = width;
+    this._height = height;
+    this.worker.postMessage({ message: "resize", width, height });
+  }
+
+  setColormap(lut) {
+    this.worker.postMessage({ message: "colormap", lut });
+  }
+
+  setDbRange(minDb, maxDb) {
+    this.worker.postMessage({ message: "db_range", minDb, maxDb });
+  }
+
+  setRowBins(rowBins) {
+    if (rowBins === this.rowBins) return;
+    this.rowBins = rowBins;
+    this.worker.postMessage({ message: "row_bins", rowBins: { from: rowBins.from, to: rowBins.to } });
+  }
+
+  setView(view) {
+    this.worker.postMessage({ message: "view", view });
+  }
+
+  clearHistory() {
+    this.worker.postMessage({ message: "clear_history" });
+  }
+
+  pushSpectrum(spectrum, time, count) {
+    const copy = spectrum.slice();
+    this.worker.postMessage({ message: "spectrum", spectrum: copy, time, count }, [copy.buffer]);
+  }
+}
+
+/**
+ * The worker renderer where the browser can hand the canvas over,
+ * the page renderer otherwise.
+ */
+function createSpectrogramRenderer(canvas, workerUrl, options = {}) {
+  if (workerUrl && OffscreenSpectrogramRenderer.isSupported(canvas)) {
+    try {
+      return new OffscreenSpectrogramRenderer(canvas, workerUrl, options);
+    } catch (e) {
+      console.warn("Offscreen spectrogram unavailable, drawing on the page:", e);
+    }
+  }
+  return new SpectrogramRenderer(canvas, options);
+}
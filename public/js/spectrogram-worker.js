@@ -0,0 +1,42 @@
+/**
+ * BirdNET Live - Spectrogram Worker
+ * Renders the live spectrogram on an OffscreenCanvas handed over by the
+ * page, so drawing does not compete with the UI thread.
+ * Messages mirror the SpectrogramRenderer methods.
+ */
+
+importScripts('spectrogram-renderer.js');
+
+let renderer = null;
+
+onmessage = ({ data }) => {
+  if (data.message === 'init') {
+    renderer = new SpectrogramRenderer(data.canvas, data.options);
+    return;
+  }
+  if (!renderer) return;
+
+  switch (data.message) {
+    case 'resize':
+      renderer.resize(data.width, data.height);
+      break;
+    case 'colormap':
+      renderer.setColormap(data.lut);
+      break;
+    case 'db_range':
+      renderer.setDbRange(data.minDb, data.maxDb);
+      break;
+    case 'row_bins':
+      renderer.setRowBins(data.rowBins);
+      break;
+    case 'view':
+      renderer.setView(data.view);
+      break;
+    case 'clear_history':
+      renderer.clearHistory();
+      break;
+    case 'spectrum':
+      renderer.pushSpectrum(data.spectrum, data.time, data.count);
+      break;
+  }
+};
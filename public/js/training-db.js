@@ -0,0 +1,87 @@
+/**
+ * BirdNET Live - Custom Classifier Training Data
+ * Stores labeled clip embeddings in IndexedDB so a custom classification
+ * head can be retrained on-device as more clips are added.
+ */
+
+/* ==========================================================================
+   1. CONFIGURATION
+   ========================================================================== */
+
+const TRAINING_DB_NAME = "birdnet-training";
+const TRAINING_DB_VERSION = 1;
+
+const EXAMPLES_STORE = "examples"; // { id, label, modelId, source, createdAt, count, dim, embeddings }
+
+let trainingDbPromise = null;
+
+/* ==========================================================================
+   2. DATABASE ACCESS
+   ========================================================================== */
+
+function openTrainingDb() {
+  if (trainingDbPromise) return trainingDbPromise;
+
+  trainingDbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in self)) {
+      reject(new Error("IndexedDB not supported"));
+      return;
+    }
+    const req = indexedDB.open(TRAINING_DB_NAME, TRAINING_DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(EXAMPLES_STORE)) {
+        const examples = db.createObjectStore(EXAMPLES_STORE, { keyPath: "id", autoIncrement: true });
+        examples.createIndex("label", "label");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  trainingDbPromise.catch(() => { trainingDbPromise = null; });
+  return trainingDbPromise;
+}
+
+/**
+ * Same contract as historyTransaction, on the training database.
+ */
+async function trainingTransaction(mode, fn) {
+  const db = await openTrainingDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(EXAMPLES_STORE, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(EXAMPLES_STORE))).then(r => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/* ==========================================================================
+   3. EXAMPLES
+   ========================================================================== */
+
+/**
+ * Adds one labeled clip: its [count, dim] embeddings, flattened.
+ */
+function addTrainingExample(example) {
+  return trainingTransaction("readwrite",
+    store => promisifyRequest(store.add(example)));
+}
+
+function getTrainingExamples() {
+  return trainingTransaction("readonly",
+    store => promisifyRequest(store.getAll()));
+}
+
+/**
+ * Deletes every clip of one label.
+ */
+function deleteTrainingLabel(label) {
+  return trainingTransaction("readwrite", async store => {
+    const keys = await promisifyRequest(store.index("label").getAllKeys(label));
+    keys.forEach(key => store.delete(key));
+  });
+}
@@ -8,13 +8,19 @@
    1. CONFIGURATION & VERSIONING
    ========================================================================== */
 
-const APP_VERSION = "v0.2.0";   // Increment on app code changes
-const MODEL_VERSION = "v2.4";    // Increment only when model files change
+const APP_VERSION = "v0.3.0";   // Increment on app code changes
 
 const APP_CACHE_NAME = `birdnet-app-${APP_VERSION}`;
-const MODEL_CACHE_NAME = `birdnet-model-${MODEL_VERSION}`;
 const IMAGE_CACHE_NAME = "birdnet-images-v1";
 
+// Species images are small and similar in size, so the image cache is
+// capped by entry count, least recently used first out.
+const IMAGE_CACHE_MAX_ENTRIES = 800;
+const IMAGE_PREFETCH_CONCURRENCY = 4;
+
+// Each model in the manifest gets its own cache: birdnet-model-<id>-<version>
+const MODEL_MANIFEST_URL = "models/manifest.json";
+
 const ENABLE_CACHING = true;
 const FORCE_CLEAR_ON_ACTIVATE = false;
 
@@ -26,11 +32,15 @@ const FORCE_CLEAR_ON_ACTIVATE = false;
 const CORE_URLS = [
   "./",
   "explore/",
+  "history/",
+  "train/",
+  "storage/",
   "about/",
   "legal/",
   "share/",
   "favicon.png",
   "manifest.webmanifest",
+  "models/manifest.json",
   "img/birdnet-logo-circle.png",
   "img/qrcode.png",
   "img/dummy.webp",
@@ -42,8 +52,21 @@ const CORE_URLS = [
   "vendor/d3/d3.min.js",
   "vendor/bootstrap/bootstrap.bundle.min.js",
   "js/app.js",
+  "js/history-db.js",
+  "js/training-db.js",
+  "js/export.js",
   "js/birdnet-worker.js",
+  "js/audio-ring.js",
+  "js/resampler.js",
+  "js/audio-file.js",
+  "js/audio-processor.js",
+  "js/spectrogram-renderer.js",
+  "js/spectrogram-worker.js",
   "js/tfjs-4.14.0.min.js",
+  "js/tfjs-backend-wasm/tf-backend-wasm.min.js",
+  "js/tfjs-backend-wasm/tfjs-backend-wasm.wasm",
+  "js/tfjs-backend-wasm/tfjs-backend-wasm-simd.wasm",
+  "js/tfjs-backend-wasm/tfjs-backend-wasm-threaded-simd.wasm",
   "locales/en.json",
   "locales/de.json",
   "locales/fr.json",
@@ -54,49 +77,36 @@ const CORE_URLS = [
   "locales/ru.json"
 ];
 
-// Model Files & Labels (Large, rarely changed)
-const MODEL_URLS = [
-  "models/birdnet/group1-shard1of13.bin",
-  "models/birdnet/group1-shard2of13.bin",
-  "models/birdnet/group1-shard3of13.bin",
-  "models/birdnet/group1-shard4of13.bin",
-  "models/birdnet/group1-shard5of13.bin",
-  "models/birdnet/group1-shard6of13.bin",
-  "models/birdnet/group1-shard7of13.bin",
-  "models/birdnet/group1-shard8of13.bin",
-  "models/birdnet/group1-shard9of13.bin",
-  "models/birdnet/group1-shard10of13.bin",
-  "models/birdnet/group1-shard11of13.bin",
-  "models/birdnet/group1-shard12of13.bin",
-  "models/birdnet/group1-shard13of13.bin",
-  "models/birdnet/model.json",
-  "models/birdnet/area-model/group1-shard1of2.bin",
-  "models/birdnet/area-model/group1-shard2of2.bin",
-  "models/birdnet/area-model/model.json",
-  "models/birdnet/labels/en_us.txt",
-  "models/birdnet/labels/en_uk.txt",
-  "models/birdnet/labels/de.txt",
-  "models/birdnet/labels/fr.txt",
-  "models/birdnet/labels/es.txt",
-  "models/birdnet/labels/it.txt"
-];
+// Model Files & Labels (Large, rarely changed) are listed per model in
+// models/manifest.json, generated at build time ("precache", relative to
+// the model's path). Other files of a model, such as the remaining label
+// languages, go into the same cache on first use.
+let modelManifest = null;
 
 /* =========================================================================
    3. LIFECYCLE EVENTS
    ========================================================================== */
 
+// A new version waits until the page sends SKIP_WAITING (see "Update
+// available" in app.js), so it never takes over a running session.
 self.addEventListener("install", (event) => {
-  self.skipWaiting(); // Activate immediately
-  if (!ENABLE_CACHING) return;
+  if (!ENABLE_CACHING) {
+    self.skipWaiting();
+    return;
+  }
 
   event.waitUntil((async () => {
-    // 1. Cache App Core
+    // 1. Cache App Core (bypassing the HTTP cache so all files are from this release)
     const appCache = await caches.open(APP_CACHE_NAME);
-    await appCache.addAll(CORE_URLS);
+    await appCache.addAll(CORE_URLS.map(url => new Request(url, { cache: "reload" })));
     
-    // 2. Cache Model (separately to avoid re-downloading on app updates)
-    const modelCache = await caches.open(MODEL_CACHE_NAME);
-    for (const url of MODEL_URLS) {
+    // 2. Cache Default Model (separately to avoid re-downloading on app updates)
+    const manifest = await getModelManifest();
+    const entry = manifest.models.find(m => m.id === manifest.default) || manifest.models[0];
+    if (!entry) return;
+    const modelCache = await caches.open(modelCacheName(entry));
+    await adoptLegacyModelCache(entry, modelCache);
+    for (const url of modelFileUrls(entry)) {
       const match = await modelCache.match(url);
       if (!match) {
         try {
@@ -115,12 +125,16 @@ self.addEventListener("activate", (event) => {
     if (!ENABLE_CACHING || FORCE_CLEAR_ON_ACTIVATE) {
       await purgeAllCaches();
     } else {
-      // Cleanup old caches
-      const keep = new Set([APP_CACHE_NAME, MODEL_CACHE_NAME, IMAGE_CACHE_NAME]);
+      // Cleanup old caches (and those of models no longer in the manifest)
+      modelManifest = null;
+      const manifest = await getModelManifest();
+      const keep = new Set([APP_CACHE_NAME, IMAGE_CACHE_NAME, ...manifest.models.map(modelCacheName)]);
+      // Without a manifest we can't tell, so never drop model downloads then
+      const isStale = k => !keep.has(k) && !(k.startsWith("birdnet-model-") && !manifest.models.length);
       const keys = await caches.keys();
-      await Promise.all(keys.filter(k => !keep.has(k)).map(k => caches.delete(k)));
+      await Promise.all(keys.filter(isStale).map(k => caches.delete(k)));
     }
-    clients.claim(); // Take control of clients immediately
+    clients.claim(); // Take control of clients (first install, or after SKIP_WAITING)
   })());
 });
 
@@ -151,15 +165,15 @@ self.addEventListener("fetch", (event) => {
     ? url.pathname.slice(scopePath.length)
     : url.pathname.replace(/^\/+/, "");
 
-  // B. Model Files -> Cache First
-  if (MODEL_URLS.includes(rel)) {
-    event.respondWith(handleCacheFirst(request, MODEL_CACHE_NAME, rel));
+  // B. Model Files & Labels -> Cache First (per-model cache)
+  if (rel.startsWith("models/") && rel !== MODEL_MANIFEST_URL) {
+    event.respondWith(handleModelFetch(request, rel));
     return;
   }
 
-  // C. Core App Assets -> Stale-While-Revalidate
+  // C. Core App Assets -> Cache First (versioned with APP_VERSION, so one release is never mixed with another)
   if (CORE_URLS.includes(rel)) {
-    event.respondWith(handleStaleWhileRevalidate(request, APP_CACHE_NAME, rel));
+    event.respondWith(handleCacheFirst(request, APP_CACHE_NAME, rel));
     return;
   }
 
@@ -174,11 +188,17 @@ self.addEventListener("fetch", (event) => {
 async function handleImageFetch(request) {
   const cache = await caches.open(IMAGE_CACHE_NAME);
   const cached = await cache.match(request);
-  if (cached) return cached;
+  if (cached) {
+    touchImage(cache, request, cached);
+    return cached;
+  }
   
+  // Cards load images with crossorigin="anonymous" and retry without it
+  // when the host refuses CORS. Opaque responses have no status but are
+  // kept too; the entry-count cap bounds them like any other image.
   try {
     const net = await fetch(request);
-    if (net.ok) cache.put(request, net.clone());
+    if (net.ok || net.type === "opaque") cache.put(request, net.clone()).then(trimImageCache);
     return net;
   } catch {
     return new Response("", { status: 404 }); // Fail silently
@@ -195,18 +215,11 @@ async function handleCacheFirst(request, cacheName, relPath) {
   return net;
 }
 
-async function handleStaleWhileRevalidate(request, cacheName, relPath) {
-  const cache = await caches.open(cacheName);
-  const cached = await cache.match(relPath || request);
-  
-  const fetchPromise = fetch(request).then(networkResponse => {
-    if (networkResponse.ok) {
-      cache.put(relPath || request, networkResponse.clone());
-    }
-    return networkResponse;
-  }).catch(() => { /* ignore network errors if cached */ });
-
-  return cached || fetchPromise;
+async function handleModelFetch(request, rel) {
+  const manifest = await getModelManifest();
+  const entry = manifest.models.find(m => rel.startsWith(`models/${m.path}/`));
+  if (!entry) return fetch(request);
+  return handleCacheFirst(request, modelCacheName(entry), rel);
 }
 
 async function handleNetworkFirst(request) {
@@ -224,16 +237,159 @@ async function handleNetworkFirst(request) {
    6. UTILITIES
    ========================================================================== */
 
+/**
+ * Cache keys keep insertion order, so re-adding an entry on use
+ * makes keys() an LRU list (oldest first).
+ */
+function touchImage(cache, request, response) {
+  return cache.put(request, response.clone()).catch(() => {});
+}
+
+let imageTrim = null;
+
+function trimImageCache() {
+  // Coalesce the trims of a burst of image loads
+  if (!imageTrim) {
+    imageTrim = (async () => {
+      const cache = await caches.open(IMAGE_CACHE_NAME);
+      const keys = await cache.keys();
+      const excess = keys.slice(0, Math.max(0, keys.length - IMAGE_CACHE_MAX_ENTRIES));
+      await Promise.all(excess.map(key => cache.delete(key)));
+    })().finally(() => { imageTrim = null; });
+  }
+  return imageTrim;
+}
+
+/**
+ * Downloads species images into the image cache (offline image pack).
+ * Only the first IMAGE_CACHE_MAX_ENTRIES fit, so callers send the most
+ * relevant species first. Reports progress to the requesting client.
+ */
+async function prefetchImages(urls, client) {
+  const queue = urls.slice(0, IMAGE_CACHE_MAX_ENTRIES);
+  const total = queue.length;
+  const cache = await caches.open(IMAGE_CACHE_NAME);
+  let done = 0;
+  let failed = 0;
+
+  const report = (type) => client && client.postMessage({ type, done, failed, total });
+
+  const next = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        const cached = await cache.match(url);
+        if (cached) {
+          await touchImage(cache, url, cached);
+        } else {
+          await cache.put(url, await fetchImage(url));
+        }
+      } catch {
+        failed++;
+      }
+      done++;
+      report("PREFETCH_PROGRESS");
+    }
+  };
+  await Promise.all(Array.from({ length: IMAGE_PREFETCH_CONCURRENCY }, next));
+  await trimImageCache();
+  report("PREFETCH_DONE");
+}
+
+/**
+ * An image with CORS where the host allows it, else an opaque one (same
+ * fallback as the cards).
+ */
+async function fetchImage(url) {
+  let net;
+  try {
+    net = await fetch(url, { mode: "cors", credentials: "omit" });
+  } catch {
+    return fetch(url, { mode: "no-cors", credentials: "omit" }); // Opaque, status unknown
+  }
+  if (!net.ok) throw new Error(`HTTP ${net.status}`);
+  return net;
+}
+
+function modelCacheName(entry) {
+  return `birdnet-model-${entry.id}-${entry.version}`;
+}
+
+/**
+ * Moves files from the cache releases before the model registry used
+ * (birdnet-model-<version>, same URLs) so updating doesn't download the
+ * model again. Activate deletes the old cache afterwards.
+ */
+async function adoptLegacyModelCache(entry, modelCache) {
+  const legacyName = `birdnet-model-${entry.version}`;
+  if (!(await caches.has(legacyName))) return;
+  const legacy = await caches.open(legacyName);
+  for (const request of await legacy.keys()) {
+    if (await modelCache.match(request)) continue;
+    const resp = await legacy.match(request);
+    if (resp) await modelCache.put(request, resp);
+  }
+}
+
+function modelFileUrls(entry) {
+  return (entry.precache || []).map(file => `models/${entry.path}/${file}`);
+}
+
+/**
+ * The model manifest, from the app cache when available.
+ * An unreadable manifest counts as one without models.
+ */
+async function getModelManifest() {
+  if (modelManifest) return modelManifest;
+  try {
+    const cache = await caches.open(APP_CACHE_NAME);
+    const resp = (await cache.match(MODEL_MANIFEST_URL)) || (await fetch(MODEL_MANIFEST_URL));
+    const manifest = await resp.json();
+    modelManifest = { default: manifest.default, models: manifest.models || [] };
+  } catch (e) {
+    console.warn("[SW] Model manifest unavailable:", e);
+    return { default: null, models: [] };
+  }
+  return modelManifest;
+}
+
 async function purgeAllCaches() {
   const keys = await caches.keys();
   await Promise.all(keys.map(k => caches.delete(k)));
   console.log("[SW] Caches purged.");
 }
 
+async function purgeCache(cacheName) {
+  await caches.delete(cacheName);
+  if (cacheName === APP_CACHE_NAME) modelManifest = null; // Was read from the app cache
+  console.log("[SW] Cache purged:", cacheName);
+}
+
 self.addEventListener("message", (event) => {
+  // { type: "PURGE_CACHES", cacheName? } - a single cache, or all of them
   if (event.data && event.data.type === "PURGE_CACHES") {
-    purgeAllCaches().then(() => {
-      event.source && event.source.postMessage({ type: "PURGE_DONE" });
-    });
+    const { cacheName } = event.data;
+    const purge = cacheName ? purgeCache(cacheName) : purgeAllCaches();
+    event.waitUntil(purge.then(() => {
+      event.source && event.source.postMessage({ type: "PURGE_DONE", cacheName: cacheName || null });
+    }));
+  }
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
   }
+  // { type: "PREFETCH_IMAGES", urls } - most relevant first
+  if (event.data && event.data.type === "PREFETCH_IMAGES") {
+    event.waitUntil(prefetchImages(event.data.urls || [], event.source));
+  }
+});
+
+// Target species alerts: bring the app back to the front
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows.find(c => c.url.startsWith(self.registration.scope));
+    if (client) return client.focus();
+    return self.clients.openWindow(self.registration.scope);
+  })());
 });
@@ -0,0 +1,79 @@
+/**
+ * Model manifest, generated at build time and written to
+ * models/manifest.json (see src/models-manifest.njk).
+ *
+ * Only the hand-maintained fields live here. Weight shards are read from
+ * each model.json and label languages from the labels directory, so the
+ * service worker's file lists always match what is deployed. The app
+ * version is read from sw.js, which names the app cache after it, and is
+ * also written into the pages for exports (see layouts/base.njk).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MODELS_DIR = path.join(__dirname, "..", "..", "public", "models");
+const SERVICE_WORKER = path.join(__dirname, "..", "..", "public", "sw.js");
+
+const DEFAULT_MODEL = "birdnet-v2.4";
+
+const MODELS = [
+  {
+    id: "birdnet-v2.4",
+    name: "BirdNET GLOBAL 6K",
+    version: "v2.4",
+    path: "birdnet",
+    model: "model.json",
+    areaModel: "area-model/model.json",
+    labels: "labels",
+    sampleRate: 48000,
+    windowSeconds: 3,
+    licence: "CC BY-NC-SA 4.0",
+    url: "https://github.com/birdnet-team/BirdNET-Analyzer",
+    // Installed with the model; every other language is cached when first selected
+    precacheLabels: ["en_us", "en_uk", "de", "fr", "es", "it"]
+  }
+];
+
+/**
+ * model.json plus its weight shards, relative to the model directory.
+ */
+function layersModelFiles(modelDir, modelFile) {
+  const topology = JSON.parse(fs.readFileSync(path.join(modelDir, modelFile), "utf8"));
+  const base = path.posix.dirname(modelFile);
+  const shards = (topology.weightsManifest || [])
+    .flatMap(group => group.paths)
+    .map(p => (base === "." ? p : `${base}/${p}`));
+  return [modelFile, ...shards];
+}
+
+function buildEntry(def) {
+  const { precacheLabels, ...entry } = def;
+  const modelDir = path.join(MODELS_DIR, def.path);
+
+  entry.labelLanguages = fs.readdirSync(path.join(modelDir, def.labels))
+    .filter(name => name.endsWith(".txt"))
+    .map(name => name.slice(0, -4))
+    .sort();
+
+  entry.precache = [
+    ...layersModelFiles(modelDir, def.model),
+    ...(def.areaModel ? layersModelFiles(modelDir, def.areaModel) : []),
+    ...precacheLabels
+      .filter(lang => entry.labelLanguages.includes(lang))
+      .map(lang => `${def.labels}/${lang}.txt`)
+  ];
+  return entry;
+}
+
+function readAppVersion() {
+  const match = fs.readFileSync(SERVICE_WORKER, "utf8").match(/const APP_VERSION = "([^"]+)"/);
+  if (!match) throw new Error("APP_VERSION not found in sw.js");
+  return match[1];
+}
+
+module.exports = () => ({
+  appVersion: readAppVersion(),
+  default: DEFAULT_MODEL,
+  models: MODELS.map(buildEntry)
+});